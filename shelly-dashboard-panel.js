@@ -1,9 +1,1639 @@
 // /local/shelly-dashboard-panel.js
-// version 0.3.2
+// version 0.25.0
 // Custom panel that displays all Shelly devices (one per row) with essential information.
 // 
-// Fix in v0.3.2:
-// - Extract domain from entity_id instead of using e.domain property (which is undefined in entity registry)
+// Changes in v0.25.0:
+// - Translated UI (en, nl, de) and locale-aware numbers, dates, temperatures and uptime
+
+// Delay used to coalesce bursts of state changes into a single re-render
+const RENDER_DEBOUNCE_MS = 250;
+// Delay used to coalesce registry events (e.g. a device being added creates many entities)
+const RELOAD_DEBOUNCE_MS = 1000;
+// Cards instead of the table below this width, or when Home Assistant reports a narrow layout
+const COMPACT_MEDIA_QUERY = '(max-width: 768px)';
+// Columns on the face of a device card; the other visible columns are behind "Details"
+const CARD_FIELDS = ['ip', 'rssi', 'temperature', 'fwUpToDate'];
+// Tables with more rows than this only render the rows in view, plus some overscan
+const VIRTUAL_ROW_THRESHOLD = 100;
+const VIRTUAL_OVERSCAN = 10;
+// Row height (px) until rendered rows can be measured, and rows rendered before the scroller has a size
+const VIRTUAL_ROW_HEIGHT = 49;
+const VIRTUAL_WINDOW_ROWS = 30;
+// localStorage key prefix for everything the panel remembers in the browser
+const STORAGE_PREFIX = 'shelly-dashboard-panel';
+
+// Defaults for the optional `config:` block of the panel_custom entry
+const DEFAULT_CONFIG = {
+  default_sort: { column: 'name', direction: 'asc' },
+  columns: null,
+  include: {},
+  exclude: {},
+  rssi_thresholds: { good: -50, fair: -60, weak: -70 },
+  temperature_warning: null,
+  power_limits: {},
+  power_limit_warning: 0.9,
+  voltage_range: { min: 207, max: 253 },
+  templates: [],
+  protected: [],
+  actions: true,
+  bulk_actions: true,
+};
+
+// Approximate rated load per model (W at 230 V, from the Shelly datasheets), matched on the
+// device model without the "Shelly " prefix. `power_limits` in the panel config adds or overrides entries.
+const DEFAULT_POWER_LIMITS = {
+  'plug s': 2500,
+  'plus plug s': 2500,
+  '1pm': 3500,
+  'plus 1pm': 3500,
+  'pro 1pm': 3680,
+  'plus 2pm': 3680,
+  'pro 2pm': 5750,
+  'pro 4pm': 9200,
+};
+
+// Metering sensors by device_class, with unit factors to W, kWh, V and A
+const METERING_UNITS = {
+  power: { W: 1, kW: 1000, mW: 0.001 },
+  energy: { Wh: 0.001, kWh: 1, MWh: 1000 },
+  voltage: { V: 1, mV: 0.001 },
+  current: { A: 1, mA: 0.001 },
+};
+// Device totals of multi-phase meters (Pro 3EM "Total active power/energy"), told apart by the
+// attribute the Shelly integration puts at the end of the registry unique_id, which users can't
+// rename: `<mac>-em:0-total_act_power` is a total, `<mac>-emdata:0-a_total_act_energy` a phase.
+const METERING_TOTAL_RE = /-total_\w+$/;
+// Seconds per unit of uptime sensors that report a duration instead of the boot time
+const UPTIME_UNITS = { s: 1, min: 60, h: 3600, d: 86400 };
+const TOP_CONSUMERS = 5;
+
+// Device fields include/exclude patterns can match on
+const CONFIG_MATCH_FIELDS = ['name', 'area', 'model'];
+
+// Toggleable filter chips shown above the table; label and test get the panel config
+const FILTER_CHIPS = [
+  { key: 'fw_update', label: () => 'Firmware update available', test: (r) => r.fwUpdateAvailable },
+  { key: 'cloud_on', label: () => 'Cloud on', test: (r) => r.cloud === true },
+  {
+    key: 'weak_signal',
+    label: (config) => `RSSI below ${config.rssi_thresholds.weak} dBm`,
+    test: (r, config) => r.rssi !== null && parseInt(r.rssi) < config.rssi_thresholds.weak,
+  },
+  { key: 'unavailable', label: () => 'Offline', test: (r) => r.unavailable },
+  { key: 'disabled', label: () => 'Disabled', test: (r) => r.availability === 'disabled' },
+  { key: 'power_warning', label: () => 'Power warning', test: (r) => r.powerWarnings.length > 0 },
+];
+
+// Availability of a row; `rank` orders the Status column with problems first
+const AVAILABILITY = {
+  offline: { label: 'Offline', rank: 0, title: 'All entities are unavailable' },
+  disabled: { label: 'Disabled', rank: 1, title: 'Device is disabled in the device registry' },
+  unknown: { label: 'Unknown', rank: 2, title: 'No entity states to judge availability' },
+  online: { label: 'Online', rank: 3, title: 'Device is reporting' },
+};
+
+// Views selectable through the tabs below the toolbar
+const VIEWS = [
+  { key: 'devices', label: 'Devices' },
+  { key: 'security', label: 'Security' },
+  { key: 'conflicts', label: 'Conflicts' },
+  { key: 'cleanup', label: 'Cleanup' },
+  { key: 'drift', label: 'Drift' },
+  { key: 'network', label: 'Network' },
+  { key: 'log', label: 'Log' },
+];
+
+// Weakest devices listed in the Network view
+const WEAKEST_DEVICES = 5;
+
+// Entity domains a template can set, with the service that applies a value
+const TEMPLATE_DOMAINS = {
+  switch: {
+    parse: (v) => (v === true || v === 'on' ? true : v === false || v === 'off' ? false : null),
+    read: (st) => st.state === 'on',
+    equal: (a, b) => a === b,
+    format: (v) => (v ? 'on' : 'off'),
+    fix: (entityId, v) => ({ domain: 'switch', service: v ? 'turn_on' : 'turn_off', data: { entity_id: entityId } }),
+  },
+  select: {
+    parse: (v) => (typeof v === 'string' || typeof v === 'number' ? String(v) : null),
+    read: (st) => st.state,
+    equal: (a, b) => a === b,
+    format: (v) => v,
+    fix: (entityId, v) => ({ domain: 'select', service: 'select_option', data: { entity_id: entityId, option: v } }),
+  },
+  number: {
+    parse: (v) => toNumber(v),
+    read: (st) => toNumber(st.state),
+    equal: (a, b) => a !== null && Math.abs(a - b) < 1e-6,
+    format: (v) => String(v),
+    fix: (entityId, v) => ({ domain: 'number', service: 'set_value', data: { entity_id: entityId, value: v } }),
+  },
+};
+
+// Domains a template check can read but not change, like the cloud binary_sensor of Gen2+ devices
+const TEMPLATE_READ_ONLY_DOMAINS = {
+  binary_sensor: { ...TEMPLATE_DOMAINS.switch, fix: null },
+};
+
+// Why an entity is offered in the Cleanup view, checked in this order. Entities of a device
+// that is offline only count as stuck after CLEANUP_STUCK_DAYS, so a device that is briefly
+// unplugged doesn't fill the list.
+const CLEANUP_STUCK_DAYS = 7;
+const CLEANUP_REASONS = {
+  no_device: { label: 'No device', title: 'Shelly entity that is not attached to any device' },
+  deleted_device: { label: 'Deleted device', title: 'Attached to a device that no longer exists' },
+  restored: { label: 'Restored', title: 'No longer provided by the Shelly integration (restored state)' },
+  stuck: { label: 'Unavailable', title: `Unavailable for more than ${CLEANUP_STUCK_DAYS} days` },
+  foreign: { label: 'Other platform', title: 'Attached to a Shelly device by another integration' },
+};
+
+// Entity registry changes offered for the selected cleanup candidates
+const CLEANUP_ACTIONS = [
+  { key: 'disable', label: 'Disable', past: 'disabled', message: (id) => ({ type: 'config/entity_registry/update', entity_id: id, disabled_by: 'user' }) },
+  { key: 'remove', label: 'Remove', past: 'removed', message: (id) => ({ type: 'config/entity_registry/remove', entity_id: id }) },
+];
+
+// Security audit checks. Each returns 'pass', 'warn', 'fail' or 'unknown' for a row;
+// a missing entity is always 'unknown' so an unmonitored device never looks safe.
+const SECURITY_CHECKS = [
+  {
+    key: 'cloud',
+    label: 'Cloud',
+    evaluate: (r) => (r.cloud === null ? 'unknown' : r.cloud ? 'warn' : 'pass'),
+    describe: { pass: 'Cloud disconnected', warn: 'Connected to Shelly Cloud', unknown: 'No cloud entity' },
+  },
+  {
+    key: 'firmware',
+    label: 'Firmware',
+    evaluate: (r) => (r.fwUpdateAvailable ? 'fail' : r.fwUpToDate === true ? 'pass' : 'unknown'),
+    describe: { pass: 'Firmware up to date', fail: 'Firmware update available', unknown: 'No firmware update entity' },
+  },
+  {
+    key: 'bluetooth',
+    label: 'Bluetooth',
+    evaluate: (r) => (r.bluetooth === null ? 'unknown' : r.bluetooth ? 'warn' : 'pass'),
+    describe: { pass: 'Bluetooth off', warn: 'Bluetooth on', unknown: 'Bluetooth state not exposed' },
+  },
+  {
+    key: 'ap',
+    label: 'Access point',
+    evaluate: (r) => (r.ap === null ? 'unknown' : r.ap ? 'fail' : 'pass'),
+    describe: { pass: 'Access point off', fail: 'Access point on', unknown: 'Access point state not exposed' },
+  },
+  {
+    key: 'auth',
+    label: 'Authentication',
+    evaluate: (r) => (r.auth === null ? 'unknown' : r.auth ? 'pass' : 'fail'),
+    describe: { pass: 'Authentication enabled', fail: 'Authentication disabled', unknown: 'Authentication state not exposed' },
+  },
+];
+
+// Worst first; a device only passes when every check is known and passes
+const SECURITY_SEVERITY = ['fail', 'warn', 'unknown', 'pass'];
+
+// Actions available in the bulk action bar. entity() picks the entity to act on for a row,
+// rows without one are left out of the batch. Guarded actions skip protected devices.
+const BULK_ACTIONS = [
+  { key: 'update', label: 'Update firmware', domain: 'update', service: 'install', guarded: true, entity: (r) => (r.fwUpdateAvailable ? r.fwUpdateEntity : null) },
+  { key: 'reboot', label: 'Reboot', domain: 'button', service: 'press', guarded: true, entity: (r) => r.rebootEntity },
+  { key: 'cloud_on', label: 'Cloud on', domain: 'switch', service: 'turn_on', entity: (r) => r.cloudSwitchEntity },
+  { key: 'cloud_off', label: 'Cloud off', domain: 'switch', service: 'turn_off', entity: (r) => r.cloudSwitchEntity },
+  { key: 'bluetooth_on', label: 'Bluetooth on', domain: 'switch', service: 'turn_on', entity: (r) => r.bluetoothSwitchEntity },
+  { key: 'bluetooth_off', label: 'Bluetooth off', domain: 'switch', service: 'turn_off', entity: (r) => r.bluetoothSwitchEntity },
+];
+
+const DEFAULT_BULK_CONCURRENCY = 3;
+
+// Action log kept in the frontend user data; the oldest entries are dropped beyond the maximum
+const ACTION_LOG_MAX = 500;
+const ACTION_LOG_SAVE_DEBOUNCE_MS = 500;
+const ACTION_LOG_SCHEMA_VERSION = 1;
+// How long a toast stays up; errors stay longer so they can be read
+const TOAST_TIMEOUT_MS = { info: 5000, error: 10000 };
+
+// Staged firmware rollout: wave sizes ("rest" = all remaining devices) and how long an
+// updated device may take to come back before the rollout halts
+const DEFAULT_ROLLOUT_WAVES = '1,5,rest';
+const DEFAULT_ROLLOUT_TIMEOUT_MIN = 10;
+const ROLLOUT_CHECK_INTERVAL_MS = 5000;
+
+const toNumber = (v) => (v === null || v === undefined || v === '' || isNaN(Number(v)) ? null : Number(v));
+// Compare firmware versions semantically: "1.10.0" > "1.9.2", "1.5.0" > "1.5.0-beta1".
+// Also handles Gen1 strings like "20230913-112003/v1.14.0-gcb84623". Empty versions sort first.
+const VERSION_RE = /v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.]+))?/;
+const compareVersions = (a, b) => {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  const ma = String(a).match(VERSION_RE);
+  const mb = String(b).match(VERSION_RE);
+  if (!ma || !mb) return String(a).localeCompare(String(b), undefined, { numeric: true });
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(ma[i] || 0) - Number(mb[i] || 0);
+    if (diff) return diff;
+  }
+  // A release sorts after its pre-releases; Gen1 "-g<hash>" suffixes are build info, not pre-releases
+  const pre = (m) => (m[4] && !/^g[0-9a-f]+$/i.test(m[4]) ? m[4] : '');
+  const pa = pre(ma);
+  const pb = pre(mb);
+  if (!pa || !pb) return (pa ? -1 : 0) - (pb ? -1 : 0);
+  return pa.localeCompare(pb, undefined, { numeric: true });
+};
+
+// IPv4 addresses as a number, null for anything else (hostnames)
+const IPV4_RE = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const ipToNumber = (ip) => {
+  const m = String(ip || '').match(IPV4_RE);
+  if (!m || m.slice(1).some((o) => Number(o) > 255)) return null;
+  return m.slice(1).reduce((n, o) => n * 256 + Number(o), 0);
+};
+// Compare addresses numerically: 10.0.0.20 before 10.0.0.100. Empty values sort first,
+// hostnames after all IPs.
+const compareIps = (a, b) => {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  const na = ipToNumber(a);
+  const nb = ipToNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  if (na !== null || nb !== null) return na !== null ? -1 : 1;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Table columns and the fields they contribute to CSV/JSON exports. Field keys are part
+// of the export schema: only add new ones, and bump EXPORT_SCHEMA_VERSION when changing them.
+// Cells are rendered by _renderCell(); sortValue() overrides sorting on r[key] and
+// compare(a, b) replaces the comparison altogether.
+const COLUMNS = [
+  { key: 'name', label: 'Name', fields: [{ key: 'name', label: 'Name', value: (r) => r.name }] },
+  {
+    key: 'availability',
+    label: 'Status',
+    title: 'Availability and last seen',
+    sortValue: (r) => AVAILABILITY[r.availability].rank * 1e13 + (r.lastSeen || 0),
+    fields: [
+      { key: 'availability', label: 'Status', value: (r) => r.availability },
+      { key: 'disabled_by', label: 'Disabled by', value: (r) => r.disabledBy || null },
+      { key: 'last_seen', label: 'Last seen', value: (r) => (r.lastSeen ? new Date(r.lastSeen).toISOString() : null) },
+    ],
+  },
+  { key: 'model', label: 'Model', fields: [{ key: 'model', label: 'Model', value: (r) => r.model || null }] },
+  { key: 'area', label: 'Area', fields: [{ key: 'area', label: 'Area', value: (r) => r.area || null }] },
+  {
+    key: 'ip',
+    label: 'IP Address',
+    compare: (a, b) => compareIps(a.ip, b.ip),
+    fields: [{ key: 'ip', label: 'IP Address', value: (r) => r.ip || null }],
+  },
+  { key: 'mac', label: 'MAC Address', fields: [{ key: 'mac', label: 'MAC Address', value: (r) => r.mac || null }] },
+  { key: 'cloud', label: 'Cloud', title: 'Cloud connection', cls: 'status-cell', fields: [{ key: 'cloud', label: 'Cloud', value: (r) => r.cloud }] },
+  {
+    key: 'temperature',
+    label: 'Temp',
+    title: 'Device temperature',
+    cls: 'numeric-cell',
+    sortValue: (r) => toNumber(r.temperature),
+    fields: [
+      { key: 'temperature', label: 'Temperature', value: (r) => toNumber(r.temperature) },
+      { key: 'temperature_unit', label: 'Temperature unit', value: (r) => (toNumber(r.temperature) === null ? null : r.temperatureUnit) },
+    ],
+  },
+  {
+    key: 'rssi',
+    label: 'RSSI',
+    title: 'WiFi signal strength',
+    cls: 'numeric-cell',
+    sortValue: (r) => toNumber(r.rssi),
+    fields: [{ key: 'rssi', label: 'RSSI (dBm)', value: (r) => toNumber(r.rssi) }],
+  },
+  {
+    key: 'power',
+    label: 'Power',
+    title: 'Live power, summed across channels',
+    cls: 'numeric-cell',
+    sortValue: (r) => r.power,
+    fields: [
+      { key: 'power_w', label: 'Power (W)', value: (r) => r.power },
+      { key: 'voltage_v', label: 'Voltage (V)', value: (r) => r.voltage },
+      { key: 'current_a', label: 'Current (A)', value: (r) => r.current },
+    ],
+  },
+  {
+    key: 'energy',
+    label: 'Energy',
+    title: 'Total energy, summed across channels',
+    cls: 'numeric-cell',
+    sortValue: (r) => r.energy,
+    fields: [{ key: 'energy_kwh', label: 'Energy (kWh)', value: (r) => r.energy }],
+  },
+  {
+    key: 'uptime',
+    label: 'Uptime',
+    title: 'Device uptime',
+    sortValue: (r) => (r.bootTime ? Date.now() - r.bootTime : null),
+    fields: [{ key: 'uptime', label: 'Uptime', value: (r) => r.uptime || null }],
+  },
+  {
+    key: 'fwInstalled',
+    label: 'Installed FW',
+    title: 'Installed firmware version',
+    compare: (a, b) => compareVersions(a.fwInstalledVersion || a.sw_version, b.fwInstalledVersion || b.sw_version),
+    fields: [{ key: 'firmware_installed', label: 'Firmware installed', value: (r) => r.fwInstalledVersion || r.sw_version || null }],
+  },
+  {
+    key: 'fwLatest',
+    label: 'Latest FW',
+    title: 'Latest stable firmware (and beta, when the integration exposes it)',
+    compare: (a, b) => compareVersions(a.fwLatestVersion, b.fwLatestVersion),
+    fields: [
+      { key: 'firmware_latest', label: 'Firmware latest', value: (r) => r.fwLatestVersion || null },
+      { key: 'firmware_beta_latest', label: 'Firmware beta latest', value: (r) => r.betaLatestVersion || null },
+    ],
+  },
+  {
+    key: 'fwUpToDate',
+    label: 'FW Update',
+    title: 'Firmware update',
+    cls: 'status-cell',
+    fields: [
+      { key: 'firmware_update_available', label: 'Firmware update available', value: (r) => (r.fwUpToDate === null && !r.fwUpdateAvailable ? null : r.fwUpdateAvailable) },
+    ],
+  },
+  { key: 'reboot', label: 'Reboot', title: 'Reboot device', cls: 'status-cell', sortable: false, fields: [] },
+];
+
+// Domains a user-defined column can pick its entity from
+const CUSTOM_COLUMN_DOMAINS = ['sensor', 'binary_sensor', 'switch', 'number', 'select'];
+
+const EXPORT_SCHEMA_VERSION = 1;
+
+// Sparkline history for RSSI and device temperature. 24 h comes from the recorder history,
+// 7 d from hourly long-term statistics (both sensors have a state_class).
+const HISTORY_PERIODS = [
+  { key: 'off', label: 'Off' },
+  { key: '24h', label: '24 h', hours: 24, source: 'history' },
+  { key: '7d', label: '7 d', hours: 24 * 7, source: 'statistics' },
+];
+const HISTORY_BATCH_SIZE = 20;
+const HISTORY_MAX_AGE_MS = 5 * 60 * 1000;
+const SPARKLINE_POINTS = 48;
+// Flag a device when its current RSSI is this much below its own median over the period
+const RSSI_DROP_THRESHOLD_DB = 10;
+
+// Sections of the device drawer, by entity_category
+const DRAWER_SECTIONS = [
+  { key: null, label: 'Entities' },
+  { key: 'config', label: 'Configuration' },
+  { key: 'diagnostic', label: 'Diagnostic' },
+];
+// Domains that make up the output channels of a device (relays, dimmers, covers)
+const CHANNEL_DOMAINS = ['switch', 'light', 'cover'];
+
+// "Group by" options; value() returns the group label for a row
+const GROUP_OPTIONS = [
+  { key: '', label: 'No grouping' },
+  { key: 'area', label: 'Area', value: (r) => r.area, empty: 'No area' },
+  { key: 'floor', label: 'Floor', value: (r) => r.floor, empty: 'No floor' },
+  { key: 'model', label: 'Model', value: (r) => r.model, empty: 'Unknown model' },
+  { key: 'firmware', label: 'Firmware version', value: (r) => r.fwInstalledVersion || r.sw_version, empty: 'Unknown firmware' },
+];
+
+// UI text per language, picked by hass.language. Keys missing from a language fall back to
+// English; English labels that already live in the constant tables above (columns, chips,
+// views, ...) are not repeated here. {name} placeholders are filled in by _t().
+const TRANSLATIONS = {
+  en: {
+    'drawer.section.entities': 'Entities',
+    'group.none': 'No grouping',
+    'common.selected': '<strong>{count}</strong> selected',
+    'common.clear_selection': 'Clear selection',
+    'common.ok': 'OK',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.dismiss': 'Dismiss',
+    'common.device': 'Device',
+    'common.entity': 'Entity',
+    'common.devices': '{count} devices',
+    'common.devices_one': '{count} device',
+    'common.on': 'on',
+    'common.off': 'off',
+    'drift.no_entity': 'No matching entity',
+    'drift.invalid_value': 'Not a valid value for {entity}',
+    'drift.not_available': '{entity} is not available',
+    'drift.not_an_option': '"{value}" is not an option of {entity}',
+    'drift.read_only': '{entity} is read-only',
+    'drift.cloud': 'Cloud',
+    'drift.bluetooth': 'Bluetooth',
+    'drift.template_name': 'Template {number}',
+    'drift.firmware': 'Firmware',
+    'drift.no_update': 'No update to this version available',
+    'drift.protected': 'Protected device - update it from its own row',
+    'drift.no_templates': 'No device templates configured. Add <code>templates:</code> to the panel configuration to check devices against a standard setup.',
+    'drift.checked': '<strong>{count}</strong> checked',
+    'drift.compliant': '<strong>{count}</strong> compliant',
+    'drift.drifting': '<strong>{count}</strong> drifting',
+    'drift.fixable': '<strong>{count}</strong> fixable',
+    'drift.remediate_button': 'Remediate…',
+    'drift.no_match': 'None of the devices shown match a template.',
+    'drift.all_match': '✓ All checked devices match their template.',
+    'drift.table': 'Template deviations',
+    'drift.select_all': 'Select all fixable deviations',
+    'drift.select': 'Select {name} {setting}',
+    'drift.col.template': 'Template',
+    'drift.col.setting': 'Setting',
+    'drift.col.expected': 'Expected',
+    'drift.col.actual': 'Actual',
+    'drift.col.fix': 'Fix',
+    'drift.confirm_title': 'Apply {count} template settings?',
+    'drift.confirm_title_one': 'Apply {count} template setting?',
+    'drift.confirm_message': 'Preview - nothing has changed yet. These service calls will be made:',
+    'drift.confirm': 'Remediate',
+    'drift.job': 'Remediate template drift',
+    'network.ip_changed_hint': 'IP changed from {previous} since your last visit - probably DHCP without a reservation; consider a static IP or DHCP reservation',
+    'network.no_ip_hint': 'No IP address found in configuration_url or the IP sensors',
+    'network.hostname_hint': 'configuration_url uses the hostname "{hostname}" instead of an IP; it only works where that name resolves',
+    'network.bucket_between': '{from} to {to} dBm',
+    'network.subnets': '<strong>{count}</strong> subnets',
+    'network.subnets_one': '<strong>{count}</strong> subnet',
+    'network.ip_changed': '<strong>{count}</strong> IP changed',
+    'network.without_ip': '<strong>{count}</strong> without IP',
+    'network.by_hostname': '<strong>{count}</strong> by hostname',
+    'network.subnets_title': 'Subnets',
+    'network.subnets_table': 'Devices per subnet',
+    'network.col.subnet': 'Subnet',
+    'network.col.devices': 'Devices',
+    'network.col.addresses': 'Addresses',
+    'network.no_ipv4': 'No devices with an IPv4 address.',
+    'network.hints_title': 'Address hints',
+    'network.ack': 'Mark IP changes as seen',
+    'network.ack_title': 'Remember the current addresses as seen',
+    'network.col.hint': 'Hint',
+    'network.all_stable': '✓ Every device has a stable IP address in its configuration URL.',
+    'network.wifi_title': 'WiFi signal',
+    'network.weakest': 'Weakest devices - places where another access point would help most:',
+    'network.no_rssi': 'No RSSI sensors found.',
+    'protected.message': '{message} {name} is a protected device.',
+    'conflict.cause.stale': 'Stale entry: the same device (same MAC) is registered more than once and only one entry is reporting. This usually happens after the device was re-added; the entry that is not reporting can be deleted.',
+    'conflict.cause.readded': 'Duplicate entry with a different IP: the same device (same MAC) was registered again after its address changed (DHCP). Delete the entry that no longer reports.',
+    'conflict.cause.duplicate': 'Duplicate registry entries for one physical device, for example added through two config entries. Delete one of them.',
+    'conflict.cause.dhcp': 'DHCP change: the address last known for the offline device has been given to another device. It updates once the offline device comes back; if it never does, the entry is stale.',
+    'conflict.cause.ip': 'IP conflict: different devices (different MACs) use the same address. Check for a duplicated static IP or DHCP reservation.',
+    'conflict.none': '✓ No devices share an IP or MAC address.',
+    'conflict.shared_ip': 'IP {ip}',
+    'conflict.shared_mac': 'MAC {mac}',
+    'conflict.and': ' and ',
+    'conflict.title': '{count} devices share {shared}',
+    'conflict.table': 'Conflicting devices',
+    'conflict.col.dashboard': 'Dashboard',
+    'conflict.open_device': 'Open device page',
+    'conflict.hidden': 'Hidden',
+    'conflict.hidden_title': 'Skipped because another device already uses this IP',
+    'conflict.shown': 'Shown',
+    'conflict.likely_cause': '<strong>Likely cause:</strong> {cause}',
+    'cleanup.none': '✓ No orphaned, stuck or foreign entities found.',
+    'cleanup.summary': '<strong>{count}</strong> {reason}',
+    'cleanup.table': 'Entity cleanup candidates',
+    'cleanup.select_all': 'Select all entities',
+    'cleanup.select': 'Select {entity}',
+    'cleanup.col.platform': 'Platform',
+    'cleanup.col.state': 'State',
+    'cleanup.col.reason': 'Reason',
+    'cleanup.disabled_by': 'disabled by {by}',
+    'cleanup.no_state': 'no state',
+    'cleanup.all_disabled': 'All selected entities are already disabled.',
+    'cleanup.confirm_title': '{action} {count} entities?',
+    'cleanup.confirm_title_one': '{action} {count} entity?',
+    'cleanup.confirm_message': 'Preview - nothing has changed yet. These entity registry entries will be {past}.',
+    'cleanup.remove_note': 'Entities the integration still provides come back after a restart; disable those instead.',
+    'cleanup.skipped': '{count} already disabled entities are skipped.',
+    'cleanup.skipped_one': '{count} already disabled entity is skipped.',
+    'cleanup.job': '{action} entities',
+    'power.warning.limit': 'Power {power} is {pct}% of the rated {limit} W',
+    'power.warning.low': 'Voltage {voltage} V is below {limit} V',
+    'power.warning.high': 'Voltage {voltage} V is above {limit} V',
+    'common.export_csv': 'Export CSV',
+    'common.export_json': 'Export JSON',
+    'toast.update_started': 'Firmware update started on {device}',
+    'toast.update_failed': 'Error updating firmware: {error}',
+    'toast.reboot_sent': 'Reboot command sent to {device}',
+    'toast.reboot_failed': 'Error rebooting device: {error}',
+    'toast.pressed': 'Pressed {label}',
+    'toast.press_failed': 'Error pressing button: {error}',
+    'toast.view_in_log': 'View in log',
+    'log.search': 'Search user, device, action or error',
+    'log.search_label': 'Search the action log',
+    'log.result_label': 'Filter by result',
+    'log.all_results': 'All results',
+    'log.succeeded': 'Succeeded',
+    'log.failed': 'Failed ({count})',
+    'log.failed_result': 'failed',
+    'log.export_csv_title': 'Download the entries shown as CSV',
+    'log.export_json_title': 'Download the entries shown as JSON',
+    'log.no_match': 'No log entries match the filter.',
+    'log.empty': 'No actions have been taken from this panel yet.',
+    'log.table': 'Action log',
+    'log.col.time': 'Time',
+    'log.col.user': 'User',
+    'log.col.device': 'Device',
+    'log.col.action': 'Action',
+    'log.col.result': 'Result',
+    'panel.title': 'Shelly Devices',
+    'panel.search': 'Search name, model, IP or MAC',
+    'panel.search_label': 'Search devices',
+    'panel.model_label': 'Filter by model',
+    'panel.all_models': 'All models',
+    'panel.clear_filters': 'Clear filters',
+    'panel.columns': 'Columns',
+    'panel.columns_title': 'Show, hide and reorder columns',
+    'panel.export_csv_title': 'Download the devices shown as CSV',
+    'panel.export_json_title': 'Download the devices shown as JSON',
+    'panel.history': 'History',
+    'panel.group_by': 'Group by',
+    'panel.read_only': 'Read-only view - actions are only available to administrators.',
+    'panel.error': 'Error: {error}',
+    'panel.loading': 'Loading devices...',
+    'panel.no_devices': 'No Shelly devices found.',
+    'panel.no_match': 'No devices match the current filters.',
+    'panel.count_filtered': '{shown} of {total} devices',
+    'panel.count_filtered_one': '{shown} of {total} device',
+    'panel.source': 'Source: Home Assistant Device & Entity Registry',
+    'config.invalid': 'Invalid panel configuration',
+    'config.ignored': 'these options are ignored and use their defaults:',
+    'config.error.root': 'config must be a mapping of options',
+    'config.error.sort_column': 'default_sort: unknown or unsortable column "{column}"',
+    'config.error.sort_direction': 'default_sort.direction must be "asc" or "desc", got "{direction}"',
+    'config.error.columns': 'columns must be a non-empty list of column keys',
+    'config.error.unknown_columns': 'columns: unknown columns {columns} (available: {available})',
+    'config.error.unknown_columns_one': 'columns: unknown column {columns} (available: {available})',
+    'config.error.match': '{option} must be a mapping with name, area and/or model patterns',
+    'config.error.match_field': '{option}: unknown field (use {fields})',
+    'config.error.pattern': '{option}: "{pattern}" is not a valid regular expression',
+    'config.error.rssi_values': 'rssi_thresholds must contain numeric good, fair and weak values (dBm)',
+    'config.error.rssi_order': 'rssi_thresholds must be ordered good > fair > weak, e.g. -50, -60, -70',
+    'config.error.temperature': 'temperature_warning must be a number (°C)',
+    'config.error.power_limits': 'power_limits must be a mapping of model to rated power (W)',
+    'config.error.power_limit': '{option} must be a positive number (W)',
+    'config.error.power_warning': 'power_limit_warning must be a fraction between 0 and 1, e.g. 0.9',
+    'config.error.voltage_values': 'voltage_range must contain numeric min and max values (V)',
+    'config.error.voltage_order': 'voltage_range.min must be below voltage_range.max',
+    'config.error.templates': 'templates must be a list of device templates',
+    'config.error.protected': 'protected must be a list of device names or device ids',
+    'config.error.boolean': '{option} must be true or false',
+    'config.error.unknown': 'unknown option "{option}"',
+    'config.error.template': '{option} must be a mapping',
+    'config.error.template_unknown': '{template}: unknown option "{option}"',
+    'config.error.min_firmware': '{option} must be a version such as 1.4.0',
+    'config.error.entities': '{option} must be a mapping of entity name to value',
+    'config.error.entity_domain': '{option}: only {domains} entities can be set',
+    'config.error.entity_value': '{option} must be on/off, an option or a number',
+    'config.error.template_empty': '{option} has nothing to check (set cloud, bluetooth, entities or min_firmware)',
+    'notes.loading': 'Loading release notes...',
+    'notes.error': 'Could not load release notes: {error}',
+    'notes.none': 'No release notes available.',
+    'notes.changelog': 'Full changelog',
+    'cell.temperature_warning': 'Above {limit}',
+    'cell.booted': 'Booted {time}',
+    'common.active': 'Active',
+    'common.inactive': 'Inactive',
+    'duration.days': '{d}d {h}h',
+    'duration.hours': '{h}h {m}m',
+    'duration.minutes': '{m}m',
+    'chart.show': 'Show history',
+    'chart.no_history': 'No history available.',
+    'chart.min': 'min {value}',
+    'chart.max': 'max {value}',
+    'chart.now': 'now {value}',
+    'chart.label': 'History for {name}',
+    'chart.title': '{name} - last {period}',
+    'chart.signal_drop': 'Signal is {drop} dB below this device\'s median for the period.',
+    'chart.rssi': 'WiFi signal',
+    'chart.temperature': 'Device temperature',
+    'drawer.info.manufacturer': 'Manufacturer',
+    'drawer.info.model': 'Model',
+    'drawer.info.area': 'Area',
+    'drawer.info.firmware': 'Firmware',
+    'drawer.info.hardware': 'Hardware',
+    'drawer.info.ip': 'IP Address',
+    'drawer.info.mac': 'MAC Address',
+    'drawer.info.via': 'Connected via',
+    'drawer.info.config_entry': 'Config entry',
+    'drawer.channels': 'Channels',
+    'drawer.actions': 'Actions',
+    'drawer.install': 'Install {version}',
+    'drawer.no_update': 'No update available',
+    'power.total': '<strong>{value}</strong> total power',
+    'power.energy': '<strong>{value}</strong> energy',
+    'power.metering': '<strong>{count}</strong> metering devices',
+    'power.metering_one': '<strong>{count}</strong> metering device',
+    'power.warnings': '<strong>{count}</strong> power warnings',
+    'power.warnings_one': '<strong>{count}</strong> power warning',
+    'power.show': 'Show',
+    'power.top': 'Top consumers',
+    'columns.custom_title': '{domain} matching {pattern}',
+    'columns.error.label': 'Enter a column name.',
+    'columns.error.pattern': 'Enter an entity pattern, e.g. _power$',
+    'columns.error.invalid': '"{pattern}" is not a valid regular expression.',
+    'columns.up': 'Move up',
+    'columns.down': 'Move down',
+    'columns.remove': 'Remove column',
+    'columns.add_title': 'Add entity column',
+    'columns.add_help': 'Shows the first entity of each device whose entity_id matches the pattern, e.g. <code>_power$</code>, <code>_voltage$</code> or <code>_energy$</code>.',
+    'columns.label': 'Column name',
+    'columns.pattern': 'Pattern, e.g. _power$',
+    'columns.add': 'Add',
+    'columns.reset': 'Reset to default',
+    'common.done': 'Done',
+    'bulk.action.rollout': 'Update firmware (staged rollout)',
+    'bulk.action_label': 'Bulk action',
+    'bulk.select_filtered': 'Select all {count} filtered',
+    'bulk.waves': 'Waves',
+    'bulk.waves_title': 'Wave sizes, e.g. 1,5,rest',
+    'bulk.timeout': 'Timeout',
+    'bulk.timeout_title': 'Minutes a device may take to come back',
+    'bulk.parallel': 'Parallel',
+    'bulk.run': 'Run',
+    'bulk.unsupported': '{count} selected devices do not support this action and will be skipped.',
+    'bulk.unsupported_one': '{count} selected device does not support this action and will be skipped.',
+    'bulk.protected': 'Protected devices {names} will be skipped; use the device\'s own button.',
+    'bulk.protected_one': 'Protected device {names} will be skipped; use the device\'s own button.',
+    'bulk.none_supported': 'None of the {count} selected devices support this action.',
+    'bulk.none_supported_one': 'The selected device does not support this action.',
+    'bulk.confirm_title': '{action} on {count} devices?',
+    'bulk.confirm_title_one': '{action} on {count} device?',
+    'job.progress': '{succeeded} succeeded, {failed} failed, {remaining} remaining',
+    'job.status.queued': 'queued',
+    'job.status.running': 'running',
+    'job.status.succeeded': 'succeeded',
+    'job.status.failed': 'failed',
+    'job.status.pending': 'pending',
+    'job.status.installing': 'installing',
+    'job.status.waiting': 'waiting',
+    'rollout.error.empty': 'Enter at least one wave size, e.g. 1,5,rest',
+    'rollout.error.rest': '"rest" can only be the last wave',
+    'rollout.error.size': 'Invalid wave size "{size}"',
+    'rollout.running_title': 'Rollout already running',
+    'rollout.running_message': 'Wait for the current rollout to finish or cancel it first.',
+    'rollout.invalid_waves': 'Invalid waves',
+    'rollout.protected': 'Protected devices {names} will be skipped.',
+    'rollout.protected_one': 'Protected device {names} will be skipped.',
+    'rollout.title': 'Staged firmware rollout',
+    'rollout.none': 'None of the selected devices can be updated in a rollout.',
+    'rollout.confirm_title': 'Staged firmware rollout to {count} devices?',
+    'rollout.confirm_title_one': 'Staged firmware rollout to {count} device?',
+    'rollout.confirm_message': 'Each wave starts once every device of the previous wave is back online on the latest firmware. The rollout halts if a device takes longer than {minutes} minutes.',
+    'rollout.wave_item': 'Wave {wave}: {names}',
+    'rollout.start': 'Start rollout',
+    'rollout.already_current': 'Already up to date',
+    'rollout.timed_out': 'Not back on the latest firmware after {minutes} min',
+    'rollout.halted_reason': '{names} failed in wave {wave}',
+    'rollout.status.running': 'Running',
+    'rollout.status.halted': 'Halted',
+    'rollout.status.completed': 'Completed',
+    'rollout.status.cancelled': 'Cancelled',
+    'rollout.progress': '{done} of {total} updated',
+    'rollout.resume': 'Retry and resume',
+    'rollout.wave': 'Wave {wave}',
+    'rollout.canary': 'Wave {wave} (canary)',
+    'dialog.type_to_confirm': 'Type {text} to confirm',
+    'badge.updates': '{count} need updates',
+    'badge.updates_one': '{count} needs update',
+    'badge.offline': '{count} offline',
+    'badge.weak': '{count} weak signal',
+    'panel.overview': 'Shelly devices overview',
+    'panel.select_all': 'Select all filtered devices',
+    'card.details': 'Details',
+    'card.hide_details': 'Hide details',
+    'confirm.press': 'Press "{label}"?',
+    'confirm.update': 'Start firmware update for this device?',
+    'confirm.update_beta': 'Install BETA firmware on this device?',
+    'confirm.reboot': 'Reboot this device? It will be unavailable for a short time.',
+    'panel.select_device': 'Select {name}',
+    'security.failing': '<strong>{count}</strong> failing checks',
+    'security.failing_one': '<strong>{count}</strong> failing check',
+    'security.score.fail': 'fail',
+    'security.score.warn': 'warn',
+    'security.score.unknown': 'unknown',
+    'security.score.pass': 'pass',
+    'security.table': 'Shelly security overview',
+    'security.score': 'Score',
+    'offline.count': '<strong>{count}</strong> devices are offline',
+    'offline.count_one': '<strong>{count}</strong> device is offline',
+    'offline.disabled': '{count} disabled in the device registry',
+    'offline.show': 'Show offline devices',
+    'cell.details': 'Show device details',
+    'cell.protected': 'Protected: reboot and update need the device name typed',
+    'cell.disabled_by': 'Disabled by {by}',
+    'cell.offline_since': 'since {time}',
+    'cell.last_seen': 'seen {time}',
+    'cell.web_interface': 'Open web interface',
+    'cell.device_page': 'Open device config page',
+    'cell.signal_drop': 'Signal {drop} dB below this device\'s median',
+    'cell.rated': 'rated {limit} W',
+    'cell.beta_firmware': 'Beta firmware',
+    'cell.beta_name': '{name} (beta)',
+    'cell.update_available': 'Firmware update available',
+    'cell.update': 'Update',
+    'cell.update_title': 'Click to update firmware',
+    'cell.up_to_date': 'Up to date',
+    'cell.unknown': 'Unknown',
+    'cell.reboot': 'Reboot',
+    'cell.reboot_title': 'Click to reboot device',
+    'cell.updating': 'Updating',
+    'cell.updating_pct': 'Updating {pct}',
+    'cell.installing': 'Installing firmware',
+    'cell.beta': 'Beta',
+    'cell.install_stable': 'Click to install stable firmware',
+    'cell.install_beta': 'Click to install beta firmware',
+    'notes.title': 'Release notes',
+  },
+  nl: {
+    'view.devices': 'Apparaten',
+    'view.security': 'Beveiliging',
+    'view.conflicts': 'Conflicten',
+    'view.cleanup': 'Opschonen',
+    'view.drift': 'Afwijkingen',
+    'view.network': 'Netwerk',
+    'view.log': 'Logboek',
+    'chip.fw_update': 'Firmware-update beschikbaar',
+    'chip.cloud_on': 'Cloud aan',
+    'chip.weak_signal': 'RSSI onder {threshold} dBm',
+    'chip.unavailable': 'Offline',
+    'chip.disabled': 'Uitgeschakeld',
+    'chip.power_warning': 'Vermogenswaarschuwing',
+    'availability.offline': 'Offline',
+    'availability.offline.title': 'Alle entiteiten zijn onbeschikbaar',
+    'availability.disabled': 'Uitgeschakeld',
+    'availability.disabled.title': 'Apparaat is uitgeschakeld in het apparaatregister',
+    'availability.unknown': 'Onbekend',
+    'availability.unknown.title': 'Geen entiteitstatussen om de beschikbaarheid te bepalen',
+    'availability.online': 'Online',
+    'availability.online.title': 'Apparaat meldt zich',
+    'column.name': 'Naam',
+    'column.availability': 'Status',
+    'column.availability.title': 'Beschikbaarheid en laatst gezien',
+    'column.model': 'Model',
+    'column.area': 'Ruimte',
+    'column.ip': 'IP-adres',
+    'column.mac': 'MAC-adres',
+    'column.cloud': 'Cloud',
+    'column.cloud.title': 'Cloudverbinding',
+    'column.temperature': 'Temp',
+    'column.temperature.title': 'Apparaattemperatuur',
+    'column.rssi': 'RSSI',
+    'column.rssi.title': 'Wifi-signaalsterkte',
+    'column.power': 'Vermogen',
+    'column.power.title': 'Actueel vermogen, opgeteld over de kanalen',
+    'column.energy': 'Energie',
+    'column.energy.title': 'Totale energie, opgeteld over de kanalen',
+    'column.uptime': 'Uptime',
+    'column.uptime.title': 'Tijd sinds de laatste herstart',
+    'column.fwInstalled': 'Geïnstalleerde FW',
+    'column.fwInstalled.title': 'Geïnstalleerde firmwareversie',
+    'column.fwLatest': 'Nieuwste FW',
+    'column.fwLatest.title': 'Nieuwste stabiele firmware (en bèta, als de integratie die levert)',
+    'column.fwUpToDate': 'FW-update',
+    'column.fwUpToDate.title': 'Firmware-update',
+    'column.reboot': 'Herstarten',
+    'column.reboot.title': 'Apparaat herstarten',
+    'history.off': 'Uit',
+    'history.24h': '24 u',
+    'history.7d': '7 d',
+    'drawer.section.entities': 'Entiteiten',
+    'drawer.section.config': 'Configuratie',
+    'drawer.section.diagnostic': 'Diagnose',
+    'group.none': 'Niet groeperen',
+    'group.area': 'Ruimte',
+    'group.area.empty': 'Geen ruimte',
+    'group.floor': 'Verdieping',
+    'group.floor.empty': 'Geen verdieping',
+    'group.model': 'Model',
+    'group.model.empty': 'Onbekend model',
+    'group.firmware': 'Firmwareversie',
+    'group.firmware.empty': 'Onbekende firmware',
+    'cleanup.reason.no_device': 'Geen apparaat',
+    'cleanup.reason.no_device.title': 'Shelly-entiteit die aan geen enkel apparaat gekoppeld is',
+    'cleanup.reason.deleted_device': 'Verwijderd apparaat',
+    'cleanup.reason.deleted_device.title': 'Gekoppeld aan een apparaat dat niet meer bestaat',
+    'cleanup.reason.restored': 'Hersteld',
+    'cleanup.reason.restored.title': 'Wordt niet meer door de Shelly-integratie geleverd (herstelde status)',
+    'cleanup.reason.stuck': 'Onbeschikbaar',
+    'cleanup.reason.stuck.title': 'Langer dan {days} dagen onbeschikbaar',
+    'cleanup.reason.foreign': 'Ander platform',
+    'cleanup.reason.foreign.title': 'Door een andere integratie aan een Shelly-apparaat gekoppeld',
+    'cleanup.action.disable': 'Uitschakelen',
+    'cleanup.action.disable.past': 'uitgeschakeld',
+    'cleanup.action.remove': 'Verwijderen',
+    'cleanup.action.remove.past': 'verwijderd',
+    'security.cloud': 'Cloud',
+    'security.cloud.pass': 'Cloud losgekoppeld',
+    'security.cloud.warn': 'Verbonden met Shelly Cloud',
+    'security.cloud.unknown': 'Geen cloud-entiteit',
+    'security.firmware': 'Firmware',
+    'security.firmware.pass': 'Firmware is actueel',
+    'security.firmware.fail': 'Firmware-update beschikbaar',
+    'security.firmware.unknown': 'Geen firmware-update-entiteit',
+    'security.bluetooth': 'Bluetooth',
+    'security.bluetooth.pass': 'Bluetooth uit',
+    'security.bluetooth.warn': 'Bluetooth aan',
+    'security.bluetooth.unknown': 'Bluetooth-status niet beschikbaar',
+    'security.ap': 'Toegangspunt',
+    'security.ap.pass': 'Toegangspunt uit',
+    'security.ap.fail': 'Toegangspunt aan',
+    'security.ap.unknown': 'Status toegangspunt niet beschikbaar',
+    'security.auth': 'Authenticatie',
+    'security.auth.pass': 'Authenticatie ingeschakeld',
+    'security.auth.fail': 'Authenticatie uitgeschakeld',
+    'security.auth.unknown': 'Authenticatiestatus niet beschikbaar',
+    'bulk.action.update': 'Firmware bijwerken',
+    'bulk.action.reboot': 'Herstarten',
+    'bulk.action.cloud_on': 'Cloud aan',
+    'bulk.action.cloud_off': 'Cloud uit',
+    'bulk.action.bluetooth_on': 'Bluetooth aan',
+    'bulk.action.bluetooth_off': 'Bluetooth uit',
+    'common.selected': '<strong>{count}</strong> geselecteerd',
+    'common.clear_selection': 'Selectie wissen',
+    'common.ok': 'OK',
+    'common.cancel': 'Annuleren',
+    'common.close': 'Sluiten',
+    'common.dismiss': 'Sluiten',
+    'common.device': 'Apparaat',
+    'common.entity': 'Entiteit',
+    'common.devices': '{count} apparaten',
+    'common.devices_one': '{count} apparaat',
+    'common.on': 'aan',
+    'common.off': 'uit',
+    'drift.no_entity': 'Geen passende entiteit',
+    'drift.invalid_value': 'Geen geldige waarde voor {entity}',
+    'drift.not_available': '{entity} is niet beschikbaar',
+    'drift.not_an_option': '"{value}" is geen optie van {entity}',
+    'drift.read_only': '{entity} is alleen-lezen',
+    'drift.cloud': 'Cloud',
+    'drift.bluetooth': 'Bluetooth',
+    'drift.template_name': 'Sjabloon {number}',
+    'drift.firmware': 'Firmware',
+    'drift.no_update': 'Geen update naar deze versie beschikbaar',
+    'drift.protected': 'Beveiligd apparaat - werk het bij vanuit de eigen rij',
+    'drift.no_templates': 'Geen apparaatsjablonen ingesteld. Voeg <code>templates:</code> toe aan de paneelconfiguratie om apparaten met een standaardinstelling te vergelijken.',
+    'drift.checked': '<strong>{count}</strong> gecontroleerd',
+    'drift.compliant': '<strong>{count}</strong> conform',
+    'drift.drifting': '<strong>{count}</strong> afwijkend',
+    'drift.fixable': '<strong>{count}</strong> herstelbaar',
+    'drift.remediate_button': 'Herstellen…',
+    'drift.no_match': 'Geen van de getoonde apparaten past bij een sjabloon.',
+    'drift.all_match': '✓ Alle gecontroleerde apparaten komen overeen met hun sjabloon.',
+    'drift.table': 'Afwijkingen van sjablonen',
+    'drift.select_all': 'Alle herstelbare afwijkingen selecteren',
+    'drift.select': '{name} {setting} selecteren',
+    'drift.col.template': 'Sjabloon',
+    'drift.col.setting': 'Instelling',
+    'drift.col.expected': 'Verwacht',
+    'drift.col.actual': 'Huidig',
+    'drift.col.fix': 'Oplossing',
+    'drift.confirm_title': '{count} sjablooninstellingen toepassen?',
+    'drift.confirm_title_one': '{count} sjablooninstelling toepassen?',
+    'drift.confirm_message': 'Voorbeeld - er is nog niets gewijzigd. Deze serviceaanroepen worden uitgevoerd:',
+    'drift.confirm': 'Herstellen',
+    'drift.job': 'Afwijkingen van sjablonen herstellen',
+    'network.ip_changed_hint': 'IP-adres gewijzigd van {previous} sinds je laatste bezoek - waarschijnlijk DHCP zonder reservering; overweeg een vast IP-adres of een DHCP-reservering',
+    'network.no_ip_hint': 'Geen IP-adres gevonden in configuration_url of de IP-sensoren',
+    'network.hostname_hint': 'configuration_url gebruikt de hostnaam "{hostname}" in plaats van een IP-adres; dat werkt alleen waar die naam herkend wordt',
+    'network.bucket_between': '{from} tot {to} dBm',
+    'network.subnets': '<strong>{count}</strong> subnetten',
+    'network.subnets_one': '<strong>{count}</strong> subnet',
+    'network.ip_changed': '<strong>{count}</strong> IP gewijzigd',
+    'network.without_ip': '<strong>{count}</strong> zonder IP',
+    'network.by_hostname': '<strong>{count}</strong> via hostnaam',
+    'network.subnets_title': 'Subnetten',
+    'network.subnets_table': 'Apparaten per subnet',
+    'network.col.subnet': 'Subnet',
+    'network.col.devices': 'Apparaten',
+    'network.col.addresses': 'Adressen',
+    'network.no_ipv4': 'Geen apparaten met een IPv4-adres.',
+    'network.hints_title': 'Adresaandachtspunten',
+    'network.ack': 'IP-wijzigingen als gezien markeren',
+    'network.ack_title': 'De huidige adressen als gezien onthouden',
+    'network.col.hint': 'Aandachtspunt',
+    'network.all_stable': '✓ Elk apparaat heeft een stabiel IP-adres in de configuratie-URL.',
+    'network.wifi_title': 'Wifi-signaal',
+    'network.weakest': 'Zwakste apparaten - plekken waar een extra access point het meest zou helpen:',
+    'network.no_rssi': 'Geen RSSI-sensoren gevonden.',
+    'protected.message': '{message} {name} is een beveiligd apparaat.',
+    'conflict.cause.stale': 'Verouderde vermelding: hetzelfde apparaat (zelfde MAC) is meer dan eens geregistreerd en slechts één vermelding meldt zich. Dit gebeurt meestal nadat het apparaat opnieuw is toegevoegd; de vermelding die zich niet meldt kan worden verwijderd.',
+    'conflict.cause.readded': 'Dubbele vermelding met een ander IP-adres: hetzelfde apparaat (zelfde MAC) is opnieuw geregistreerd nadat het adres veranderde (DHCP). Verwijder de vermelding die zich niet meer meldt.',
+    'conflict.cause.duplicate': 'Dubbele registervermeldingen voor één fysiek apparaat, bijvoorbeeld toegevoegd via twee configuratievermeldingen. Verwijder er één.',
+    'conflict.cause.dhcp': 'DHCP-wijziging: het laatst bekende adres van het offline apparaat is aan een ander apparaat gegeven. Dit wordt bijgewerkt zodra het offline apparaat terugkomt; gebeurt dat nooit, dan is de vermelding verouderd.',
+    'conflict.cause.ip': 'IP-conflict: verschillende apparaten (verschillende MAC-adressen) gebruiken hetzelfde adres. Controleer op een dubbel vast IP-adres of een dubbele DHCP-reservering.',
+    'conflict.none': '✓ Geen apparaten delen een IP- of MAC-adres.',
+    'conflict.shared_ip': 'IP {ip}',
+    'conflict.shared_mac': 'MAC {mac}',
+    'conflict.and': ' en ',
+    'conflict.title': '{count} apparaten delen {shared}',
+    'conflict.table': 'Conflicterende apparaten',
+    'conflict.col.dashboard': 'Dashboard',
+    'conflict.open_device': 'Apparaatpagina openen',
+    'conflict.hidden': 'Verborgen',
+    'conflict.hidden_title': 'Overgeslagen omdat een ander apparaat dit IP-adres al gebruikt',
+    'conflict.shown': 'Getoond',
+    'conflict.likely_cause': '<strong>Waarschijnlijke oorzaak:</strong> {cause}',
+    'cleanup.none': '✓ Geen verweesde, vastgelopen of vreemde entiteiten gevonden.',
+    'cleanup.summary': '<strong>{count}</strong> {reason}',
+    'cleanup.table': 'Kandidaten voor opschonen',
+    'cleanup.select_all': 'Alle entiteiten selecteren',
+    'cleanup.select': '{entity} selecteren',
+    'cleanup.col.platform': 'Platform',
+    'cleanup.col.state': 'Status',
+    'cleanup.col.reason': 'Reden',
+    'cleanup.disabled_by': 'uitgeschakeld door {by}',
+    'cleanup.no_state': 'geen status',
+    'cleanup.all_disabled': 'Alle geselecteerde entiteiten zijn al uitgeschakeld.',
+    'cleanup.confirm_title': '{count} entiteiten {verb}?',
+    'cleanup.confirm_title_one': '{count} entiteit {verb}?',
+    'cleanup.confirm_message': 'Voorbeeld - er is nog niets gewijzigd. Deze vermeldingen in het entiteitenregister worden {past}.',
+    'cleanup.remove_note': 'Entiteiten die de integratie nog levert komen na een herstart terug; schakel die liever uit.',
+    'cleanup.skipped': '{count} al uitgeschakelde entiteiten worden overgeslagen.',
+    'cleanup.skipped_one': '{count} al uitgeschakelde entiteit wordt overgeslagen.',
+    'cleanup.job': 'Entiteiten {verb}',
+    'power.warning.limit': 'Vermogen {power} is {pct}% van de nominale {limit} W',
+    'power.warning.low': 'Spanning {voltage} V is lager dan {limit} V',
+    'power.warning.high': 'Spanning {voltage} V is hoger dan {limit} V',
+    'common.export_csv': 'CSV exporteren',
+    'common.export_json': 'JSON exporteren',
+    'toast.update_started': 'Firmware-update gestart op {device}',
+    'toast.update_failed': 'Fout bij bijwerken van firmware: {error}',
+    'toast.reboot_sent': 'Herstartopdracht verstuurd naar {device}',
+    'toast.reboot_failed': 'Fout bij herstarten van apparaat: {error}',
+    'toast.pressed': '{label} ingedrukt',
+    'toast.press_failed': 'Fout bij indrukken van knop: {error}',
+    'toast.view_in_log': 'Bekijken in logboek',
+    'log.search': 'Zoek op gebruiker, apparaat, actie of fout',
+    'log.search_label': 'Actielogboek doorzoeken',
+    'log.result_label': 'Filteren op resultaat',
+    'log.all_results': 'Alle resultaten',
+    'log.succeeded': 'Geslaagd',
+    'log.failed': 'Mislukt ({count})',
+    'log.failed_result': 'mislukt',
+    'log.export_csv_title': 'De getoonde regels downloaden als CSV',
+    'log.export_json_title': 'De getoonde regels downloaden als JSON',
+    'log.no_match': 'Geen logregels komen overeen met het filter.',
+    'log.empty': 'Er zijn nog geen acties uitgevoerd vanuit dit paneel.',
+    'log.table': 'Actielogboek',
+    'log.col.time': 'Tijd',
+    'log.col.user': 'Gebruiker',
+    'log.col.device': 'Apparaat',
+    'log.col.action': 'Actie',
+    'log.col.result': 'Resultaat',
+    'panel.title': 'Shelly-apparaten',
+    'panel.search': 'Zoek op naam, model, IP of MAC',
+    'panel.search_label': 'Apparaten zoeken',
+    'panel.model_label': 'Filteren op model',
+    'panel.all_models': 'Alle modellen',
+    'panel.clear_filters': 'Filters wissen',
+    'panel.columns': 'Kolommen',
+    'panel.columns_title': 'Kolommen tonen, verbergen en herschikken',
+    'panel.export_csv_title': 'De getoonde apparaten downloaden als CSV',
+    'panel.export_json_title': 'De getoonde apparaten downloaden als JSON',
+    'panel.history': 'Geschiedenis',
+    'panel.group_by': 'Groeperen op',
+    'panel.read_only': 'Alleen-lezen - acties zijn alleen beschikbaar voor beheerders.',
+    'panel.error': 'Fout: {error}',
+    'panel.loading': 'Apparaten laden...',
+    'panel.no_devices': 'Geen Shelly-apparaten gevonden.',
+    'panel.no_match': 'Geen apparaten komen overeen met de huidige filters.',
+    'panel.count_filtered': '{shown} van {total} apparaten',
+    'panel.count_filtered_one': '{shown} van {total} apparaat',
+    'panel.source': 'Bron: apparaat- en entiteitenregister van Home Assistant',
+    'config.invalid': 'Ongeldige paneelconfiguratie',
+    'config.ignored': 'deze opties worden genegeerd en gebruiken hun standaardwaarde:',
+    'config.error.root': 'config moet een mapping van opties zijn',
+    'config.error.sort_column': 'default_sort: onbekende of niet-sorteerbare kolom "{column}"',
+    'config.error.sort_direction': 'default_sort.direction moet "asc" of "desc" zijn, niet "{direction}"',
+    'config.error.columns': 'columns moet een niet-lege lijst met kolomsleutels zijn',
+    'config.error.unknown_columns': 'columns: onbekende kolommen {columns} (beschikbaar: {available})',
+    'config.error.unknown_columns_one': 'columns: onbekende kolom {columns} (beschikbaar: {available})',
+    'config.error.match': '{option} moet een mapping met name-, area- en/of model-patronen zijn',
+    'config.error.match_field': '{option}: onbekend veld (gebruik {fields})',
+    'config.error.pattern': '{option}: "{pattern}" is geen geldige reguliere expressie',
+    'config.error.rssi_values': 'rssi_thresholds moet numerieke waarden voor good, fair en weak bevatten (dBm)',
+    'config.error.rssi_order': 'rssi_thresholds moet aflopen: good > fair > weak, bijv. -50, -60, -70',
+    'config.error.temperature': 'temperature_warning moet een getal zijn (°C)',
+    'config.error.power_limits': 'power_limits moet een mapping van model naar nominaal vermogen zijn (W)',
+    'config.error.power_limit': '{option} moet een positief getal zijn (W)',
+    'config.error.power_warning': 'power_limit_warning moet een fractie tussen 0 en 1 zijn, bijv. 0.9',
+    'config.error.voltage_values': 'voltage_range moet numerieke min- en max-waarden bevatten (V)',
+    'config.error.voltage_order': 'voltage_range.min moet lager zijn dan voltage_range.max',
+    'config.error.templates': 'templates moet een lijst met apparaatsjablonen zijn',
+    'config.error.protected': 'protected moet een lijst met apparaatnamen of apparaat-id\'s zijn',
+    'config.error.boolean': '{option} moet true of false zijn',
+    'config.error.unknown': 'onbekende optie "{option}"',
+    'config.error.template': '{option} moet een mapping zijn',
+    'config.error.template_unknown': '{template}: onbekende optie "{option}"',
+    'config.error.min_firmware': '{option} moet een versie zijn, zoals 1.4.0',
+    'config.error.entities': '{option} moet een mapping van entiteitnaam naar waarde zijn',
+    'config.error.entity_domain': '{option}: alleen entiteiten van het type {domains} kunnen worden ingesteld',
+    'config.error.entity_value': '{option} moet on/off, een optie of een getal zijn',
+    'config.error.template_empty': '{option} heeft niets te controleren (stel cloud, bluetooth, entities of min_firmware in)',
+    'notes.loading': 'Release-opmerkingen laden...',
+    'notes.error': 'Kon release-opmerkingen niet laden: {error}',
+    'notes.none': 'Geen release-opmerkingen beschikbaar.',
+    'notes.changelog': 'Volledige changelog',
+    'cell.temperature_warning': 'Boven {limit}',
+    'cell.booted': 'Opgestart {time}',
+    'common.active': 'Actief',
+    'common.inactive': 'Inactief',
+    'duration.days': '{d}d {h}u',
+    'duration.hours': '{h}u {m}m',
+    'duration.minutes': '{m}m',
+    'chart.show': 'Geschiedenis tonen',
+    'chart.no_history': 'Geen geschiedenis beschikbaar.',
+    'chart.min': 'min {value}',
+    'chart.max': 'max {value}',
+    'chart.now': 'nu {value}',
+    'chart.label': 'Geschiedenis van {name}',
+    'chart.title': '{name} - laatste {period}',
+    'chart.signal_drop': 'Signaal is {drop} dB onder de mediaan van dit apparaat in deze periode.',
+    'chart.rssi': 'Wifi-signaal',
+    'chart.temperature': 'Apparaattemperatuur',
+    'drawer.info.manufacturer': 'Fabrikant',
+    'drawer.info.model': 'Model',
+    'drawer.info.area': 'Ruimte',
+    'drawer.info.firmware': 'Firmware',
+    'drawer.info.hardware': 'Hardware',
+    'drawer.info.ip': 'IP-adres',
+    'drawer.info.mac': 'MAC-adres',
+    'drawer.info.via': 'Verbonden via',
+    'drawer.info.config_entry': 'Configuratie-item',
+    'drawer.channels': 'Kanalen',
+    'drawer.actions': 'Acties',
+    'drawer.install': '{version} installeren',
+    'drawer.no_update': 'Geen update beschikbaar',
+    'power.total': '<strong>{value}</strong> totaal vermogen',
+    'power.energy': '<strong>{value}</strong> energie',
+    'power.metering': '<strong>{count}</strong> meetapparaten',
+    'power.metering_one': '<strong>{count}</strong> meetapparaat',
+    'power.warnings': '<strong>{count}</strong> vermogenswaarschuwingen',
+    'power.warnings_one': '<strong>{count}</strong> vermogenswaarschuwing',
+    'power.show': 'Tonen',
+    'power.top': 'Grootste verbruikers',
+    'columns.custom_title': '{domain} die overeenkomt met {pattern}',
+    'columns.error.label': 'Voer een kolomnaam in.',
+    'columns.error.pattern': 'Voer een entiteitpatroon in, bijv. _power$',
+    'columns.error.invalid': '"{pattern}" is geen geldige reguliere expressie.',
+    'columns.up': 'Omhoog',
+    'columns.down': 'Omlaag',
+    'columns.remove': 'Kolom verwijderen',
+    'columns.add_title': 'Entiteitkolom toevoegen',
+    'columns.add_help': 'Toont per apparaat de eerste entiteit waarvan de entity_id overeenkomt met het patroon, bijv. <code>_power$</code>, <code>_voltage$</code> of <code>_energy$</code>.',
+    'columns.label': 'Kolomnaam',
+    'columns.pattern': 'Patroon, bijv. _power$',
+    'columns.add': 'Toevoegen',
+    'columns.reset': 'Standaard herstellen',
+    'common.done': 'Klaar',
+    'bulk.action.rollout': 'Firmware bijwerken (gefaseerde uitrol)',
+    'bulk.action_label': 'Bulkactie',
+    'bulk.select_filtered': 'Alle {count} gefilterde selecteren',
+    'bulk.waves': 'Golven',
+    'bulk.waves_title': 'Golfgroottes, bijv. 1,5,rest',
+    'bulk.timeout': 'Time-out',
+    'bulk.timeout_title': 'Minuten die een apparaat mag doen over terugkomen',
+    'bulk.parallel': 'Parallel',
+    'bulk.run': 'Uitvoeren',
+    'bulk.unsupported': '{count} geselecteerde apparaten ondersteunen deze actie niet en worden overgeslagen.',
+    'bulk.unsupported_one': '{count} geselecteerd apparaat ondersteunt deze actie niet en wordt overgeslagen.',
+    'bulk.protected': 'Beschermde apparaten {names} worden overgeslagen; gebruik de knop van het apparaat zelf.',
+    'bulk.protected_one': 'Beschermd apparaat {names} wordt overgeslagen; gebruik de knop van het apparaat zelf.',
+    'bulk.none_supported': 'Geen van de {count} geselecteerde apparaten ondersteunt deze actie.',
+    'bulk.none_supported_one': 'Het geselecteerde apparaat ondersteunt deze actie niet.',
+    'bulk.confirm_title': '{action} op {count} apparaten?',
+    'bulk.confirm_title_one': '{action} op {count} apparaat?',
+    'job.progress': '{succeeded} geslaagd, {failed} mislukt, {remaining} resterend',
+    'job.status.queued': 'in wachtrij',
+    'job.status.running': 'bezig',
+    'job.status.succeeded': 'geslaagd',
+    'job.status.failed': 'mislukt',
+    'job.status.pending': 'wachtend',
+    'job.status.installing': 'installeren',
+    'job.status.waiting': 'wachten',
+    'rollout.error.empty': 'Voer minstens één golfgrootte in, bijv. 1,5,rest',
+    'rollout.error.rest': '"rest" kan alleen de laatste golf zijn',
+    'rollout.error.size': 'Ongeldige golfgrootte "{size}"',
+    'rollout.running_title': 'Uitrol al bezig',
+    'rollout.running_message': 'Wacht tot de huidige uitrol klaar is of annuleer die eerst.',
+    'rollout.invalid_waves': 'Ongeldige golven',
+    'rollout.protected': 'Beschermde apparaten {names} worden overgeslagen.',
+    'rollout.protected_one': 'Beschermd apparaat {names} wordt overgeslagen.',
+    'rollout.title': 'Gefaseerde firmware-uitrol',
+    'rollout.none': 'Geen van de geselecteerde apparaten kan in een uitrol worden bijgewerkt.',
+    'rollout.confirm_title': 'Gefaseerde firmware-uitrol naar {count} apparaten?',
+    'rollout.confirm_title_one': 'Gefaseerde firmware-uitrol naar {count} apparaat?',
+    'rollout.confirm_message': 'Elke golf start zodra elk apparaat van de vorige golf weer online is met de nieuwste firmware. De uitrol stopt als een apparaat langer dan {minutes} minuten nodig heeft.',
+    'rollout.wave_item': 'Golf {wave}: {names}',
+    'rollout.start': 'Uitrol starten',
+    'rollout.already_current': 'Al actueel',
+    'rollout.timed_out': 'Na {minutes} min niet terug met de nieuwste firmware',
+    'rollout.halted_reason': '{names} mislukt in golf {wave}',
+    'rollout.status.running': 'Bezig',
+    'rollout.status.halted': 'Gestopt',
+    'rollout.status.completed': 'Voltooid',
+    'rollout.status.cancelled': 'Geannuleerd',
+    'rollout.progress': '{done} van {total} bijgewerkt',
+    'rollout.resume': 'Opnieuw proberen en hervatten',
+    'rollout.wave': 'Golf {wave}',
+    'rollout.canary': 'Golf {wave} (kanarie)',
+    'dialog.type_to_confirm': 'Typ {text} om te bevestigen',
+    'badge.updates': '{count} hebben een update nodig',
+    'badge.updates_one': '{count} heeft een update nodig',
+    'badge.offline': '{count} offline',
+    'badge.weak': '{count} zwak signaal',
+    'panel.overview': 'Overzicht Shelly-apparaten',
+    'panel.select_all': 'Alle gefilterde apparaten selecteren',
+    'card.details': 'Details',
+    'card.hide_details': 'Details verbergen',
+    'confirm.press': '"{label}" indrukken?',
+    'confirm.update': 'Firmware-update starten voor dit apparaat?',
+    'confirm.update_beta': 'BÈTA-firmware installeren op dit apparaat?',
+    'confirm.reboot': 'Dit apparaat herstarten? Het is korte tijd niet beschikbaar.',
+    'panel.select_device': '{name} selecteren',
+    'security.failing': '<strong>{count}</strong> mislukte controles',
+    'security.failing_one': '<strong>{count}</strong> mislukte controle',
+    'security.score.fail': 'fout',
+    'security.score.warn': 'waarschuwing',
+    'security.score.unknown': 'onbekend',
+    'security.score.pass': 'ok',
+    'security.table': 'Beveiligingsoverzicht Shelly',
+    'security.score': 'Score',
+    'offline.count': '<strong>{count}</strong> apparaten zijn offline',
+    'offline.count_one': '<strong>{count}</strong> apparaat is offline',
+    'offline.disabled': '{count} uitgeschakeld in het apparaatregister',
+    'offline.show': 'Offline apparaten tonen',
+    'cell.details': 'Apparaatdetails tonen',
+    'cell.protected': 'Beschermd: voor herstarten en bijwerken moet de apparaatnaam worden getypt',
+    'cell.disabled_by': 'Uitgeschakeld door {by}',
+    'cell.offline_since': 'sinds {time}',
+    'cell.last_seen': 'gezien {time}',
+    'cell.web_interface': 'Webinterface openen',
+    'cell.device_page': 'Apparaatconfiguratie openen',
+    'cell.signal_drop': 'Signaal {drop} dB onder de mediaan van dit apparaat',
+    'cell.rated': 'nominaal {limit} W',
+    'cell.beta_firmware': 'Bètafirmware',
+    'cell.beta_name': '{name} (bèta)',
+    'cell.update_available': 'Firmware-update beschikbaar',
+    'cell.update': 'Bijwerken',
+    'cell.update_title': 'Klik om de firmware bij te werken',
+    'cell.up_to_date': 'Actueel',
+    'cell.unknown': 'Onbekend',
+    'cell.reboot': 'Herstarten',
+    'cell.reboot_title': 'Klik om het apparaat te herstarten',
+    'cell.updating': 'Bijwerken',
+    'cell.updating_pct': 'Bijwerken {pct}',
+    'cell.installing': 'Firmware wordt geïnstalleerd',
+    'cell.beta': 'Bèta',
+    'cell.install_stable': 'Klik om stabiele firmware te installeren',
+    'cell.install_beta': 'Klik om bètafirmware te installeren',
+    'notes.title': 'Release-opmerkingen',
+  },
+  de: {
+    'view.devices': 'Geräte',
+    'view.security': 'Sicherheit',
+    'view.conflicts': 'Konflikte',
+    'view.cleanup': 'Aufräumen',
+    'view.drift': 'Abweichungen',
+    'view.network': 'Netzwerk',
+    'view.log': 'Protokoll',
+    'chip.fw_update': 'Firmware-Update verfügbar',
+    'chip.cloud_on': 'Cloud an',
+    'chip.weak_signal': 'RSSI unter {threshold} dBm',
+    'chip.unavailable': 'Offline',
+    'chip.disabled': 'Deaktiviert',
+    'chip.power_warning': 'Leistungswarnung',
+    'availability.offline': 'Offline',
+    'availability.offline.title': 'Alle Entitäten sind nicht verfügbar',
+    'availability.disabled': 'Deaktiviert',
+    'availability.disabled.title': 'Gerät ist in der Geräteregistrierung deaktiviert',
+    'availability.unknown': 'Unbekannt',
+    'availability.unknown.title': 'Keine Entitätszustände zur Beurteilung der Verfügbarkeit',
+    'availability.online': 'Online',
+    'availability.online.title': 'Gerät meldet sich',
+    'column.name': 'Name',
+    'column.availability': 'Status',
+    'column.availability.title': 'Verfügbarkeit und zuletzt gesehen',
+    'column.model': 'Modell',
+    'column.area': 'Bereich',
+    'column.ip': 'IP-Adresse',
+    'column.mac': 'MAC-Adresse',
+    'column.cloud': 'Cloud',
+    'column.cloud.title': 'Cloud-Verbindung',
+    'column.temperature': 'Temp.',
+    'column.temperature.title': 'Gerätetemperatur',
+    'column.rssi': 'RSSI',
+    'column.rssi.title': 'WLAN-Signalstärke',
+    'column.power': 'Leistung',
+    'column.power.title': 'Aktuelle Leistung, über die Kanäle summiert',
+    'column.energy': 'Energie',
+    'column.energy.title': 'Gesamtenergie, über die Kanäle summiert',
+    'column.uptime': 'Laufzeit',
+    'column.uptime.title': 'Zeit seit dem letzten Neustart',
+    'column.fwInstalled': 'Installierte FW',
+    'column.fwInstalled.title': 'Installierte Firmware-Version',
+    'column.fwLatest': 'Neueste FW',
+    'column.fwLatest.title': 'Neueste stabile Firmware (und Beta, wenn die Integration sie bereitstellt)',
+    'column.fwUpToDate': 'FW-Update',
+    'column.fwUpToDate.title': 'Firmware-Update',
+    'column.reboot': 'Neustart',
+    'column.reboot.title': 'Gerät neu starten',
+    'history.off': 'Aus',
+    'history.24h': '24 Std.',
+    'history.7d': '7 T',
+    'drawer.section.entities': 'Entitäten',
+    'drawer.section.config': 'Konfiguration',
+    'drawer.section.diagnostic': 'Diagnose',
+    'group.none': 'Keine Gruppierung',
+    'group.area': 'Bereich',
+    'group.area.empty': 'Kein Bereich',
+    'group.floor': 'Etage',
+    'group.floor.empty': 'Keine Etage',
+    'group.model': 'Modell',
+    'group.model.empty': 'Unbekanntes Modell',
+    'group.firmware': 'Firmware-Version',
+    'group.firmware.empty': 'Unbekannte Firmware',
+    'cleanup.reason.no_device': 'Kein Gerät',
+    'cleanup.reason.no_device.title': 'Shelly-Entität, die keinem Gerät zugeordnet ist',
+    'cleanup.reason.deleted_device': 'Gelöschtes Gerät',
+    'cleanup.reason.deleted_device.title': 'Einem Gerät zugeordnet, das nicht mehr existiert',
+    'cleanup.reason.restored': 'Wiederhergestellt',
+    'cleanup.reason.restored.title': 'Wird nicht mehr von der Shelly-Integration bereitgestellt (wiederhergestellter Zustand)',
+    'cleanup.reason.stuck': 'Nicht verfügbar',
+    'cleanup.reason.stuck.title': 'Seit mehr als {days} Tagen nicht verfügbar',
+    'cleanup.reason.foreign': 'Andere Plattform',
+    'cleanup.reason.foreign.title': 'Von einer anderen Integration einem Shelly-Gerät zugeordnet',
+    'cleanup.action.disable': 'Deaktivieren',
+    'cleanup.action.disable.past': 'deaktiviert',
+    'cleanup.action.remove': 'Entfernen',
+    'cleanup.action.remove.past': 'entfernt',
+    'security.cloud': 'Cloud',
+    'security.cloud.pass': 'Cloud getrennt',
+    'security.cloud.warn': 'Mit Shelly Cloud verbunden',
+    'security.cloud.unknown': 'Keine Cloud-Entität',
+    'security.firmware': 'Firmware',
+    'security.firmware.pass': 'Firmware ist aktuell',
+    'security.firmware.fail': 'Firmware-Update verfügbar',
+    'security.firmware.unknown': 'Keine Firmware-Update-Entität',
+    'security.bluetooth': 'Bluetooth',
+    'security.bluetooth.pass': 'Bluetooth aus',
+    'security.bluetooth.warn': 'Bluetooth an',
+    'security.bluetooth.unknown': 'Bluetooth-Zustand nicht verfügbar',
+    'security.ap': 'Access Point',
+    'security.ap.pass': 'Access Point aus',
+    'security.ap.fail': 'Access Point an',
+    'security.ap.unknown': 'Access-Point-Zustand nicht verfügbar',
+    'security.auth': 'Authentifizierung',
+    'security.auth.pass': 'Authentifizierung aktiviert',
+    'security.auth.fail': 'Authentifizierung deaktiviert',
+    'security.auth.unknown': 'Authentifizierungszustand nicht verfügbar',
+    'bulk.action.update': 'Firmware aktualisieren',
+    'bulk.action.reboot': 'Neu starten',
+    'bulk.action.cloud_on': 'Cloud an',
+    'bulk.action.cloud_off': 'Cloud aus',
+    'bulk.action.bluetooth_on': 'Bluetooth an',
+    'bulk.action.bluetooth_off': 'Bluetooth aus',
+    'common.selected': '<strong>{count}</strong> ausgewählt',
+    'common.clear_selection': 'Auswahl aufheben',
+    'common.ok': 'OK',
+    'common.cancel': 'Abbrechen',
+    'common.close': 'Schließen',
+    'common.dismiss': 'Schließen',
+    'common.device': 'Gerät',
+    'common.entity': 'Entität',
+    'common.devices': '{count} Geräte',
+    'common.devices_one': '{count} Gerät',
+    'common.on': 'an',
+    'common.off': 'aus',
+    'drift.no_entity': 'Keine passende Entität',
+    'drift.invalid_value': 'Kein gültiger Wert für {entity}',
+    'drift.not_available': '{entity} ist nicht verfügbar',
+    'drift.not_an_option': '"{value}" ist keine Option von {entity}',
+    'drift.read_only': '{entity} ist schreibgeschützt',
+    'drift.cloud': 'Cloud',
+    'drift.bluetooth': 'Bluetooth',
+    'drift.template_name': 'Vorlage {number}',
+    'drift.firmware': 'Firmware',
+    'drift.no_update': 'Kein Update auf diese Version verfügbar',
+    'drift.protected': 'Geschütztes Gerät - aktualisiere es in seiner eigenen Zeile',
+    'drift.no_templates': 'Keine Gerätevorlagen konfiguriert. Füge <code>templates:</code> zur Panel-Konfiguration hinzu, um Geräte mit einer Standardeinrichtung zu vergleichen.',
+    'drift.checked': '<strong>{count}</strong> geprüft',
+    'drift.compliant': '<strong>{count}</strong> konform',
+    'drift.drifting': '<strong>{count}</strong> abweichend',
+    'drift.fixable': '<strong>{count}</strong> behebbar',
+    'drift.remediate_button': 'Beheben…',
+    'drift.no_match': 'Keines der angezeigten Geräte passt zu einer Vorlage.',
+    'drift.all_match': '✓ Alle geprüften Geräte entsprechen ihrer Vorlage.',
+    'drift.table': 'Abweichungen von Vorlagen',
+    'drift.select_all': 'Alle behebbaren Abweichungen auswählen',
+    'drift.select': '{name} {setting} auswählen',
+    'drift.col.template': 'Vorlage',
+    'drift.col.setting': 'Einstellung',
+    'drift.col.expected': 'Erwartet',
+    'drift.col.actual': 'Aktuell',
+    'drift.col.fix': 'Behebung',
+    'drift.confirm_title': '{count} Vorlageneinstellungen anwenden?',
+    'drift.confirm_title_one': '{count} Vorlageneinstellung anwenden?',
+    'drift.confirm_message': 'Vorschau - es wurde noch nichts geändert. Diese Dienstaufrufe werden ausgeführt:',
+    'drift.confirm': 'Beheben',
+    'drift.job': 'Vorlagenabweichungen beheben',
+    'network.ip_changed_hint': 'IP-Adresse seit deinem letzten Besuch von {previous} geändert - vermutlich DHCP ohne Reservierung; erwäge eine feste IP oder eine DHCP-Reservierung',
+    'network.no_ip_hint': 'Keine IP-Adresse in configuration_url oder den IP-Sensoren gefunden',
+    'network.hostname_hint': 'configuration_url verwendet den Hostnamen "{hostname}" statt einer IP; das funktioniert nur, wo dieser Name aufgelöst wird',
+    'network.bucket_between': '{from} bis {to} dBm',
+    'network.subnets': '<strong>{count}</strong> Subnetze',
+    'network.subnets_one': '<strong>{count}</strong> Subnetz',
+    'network.ip_changed': '<strong>{count}</strong> IP geändert',
+    'network.without_ip': '<strong>{count}</strong> ohne IP',
+    'network.by_hostname': '<strong>{count}</strong> per Hostname',
+    'network.subnets_title': 'Subnetze',
+    'network.subnets_table': 'Geräte pro Subnetz',
+    'network.col.subnet': 'Subnetz',
+    'network.col.devices': 'Geräte',
+    'network.col.addresses': 'Adressen',
+    'network.no_ipv4': 'Keine Geräte mit einer IPv4-Adresse.',
+    'network.hints_title': 'Adresshinweise',
+    'network.ack': 'IP-Änderungen als gesehen markieren',
+    'network.ack_title': 'Die aktuellen Adressen als gesehen merken',
+    'network.col.hint': 'Hinweis',
+    'network.all_stable': '✓ Jedes Gerät hat eine stabile IP-Adresse in seiner Konfigurations-URL.',
+    'network.wifi_title': 'WLAN-Signal',
+    'network.weakest': 'Schwächste Geräte - Orte, an denen ein weiterer Access Point am meisten helfen würde:',
+    'network.no_rssi': 'Keine RSSI-Sensoren gefunden.',
+    'protected.message': '{message} {name} ist ein geschütztes Gerät.',
+    'conflict.cause.stale': 'Veralteter Eintrag: dasselbe Gerät (gleiche MAC) ist mehrfach registriert und nur ein Eintrag meldet sich. Das passiert meist, nachdem das Gerät erneut hinzugefügt wurde; der Eintrag, der sich nicht meldet, kann gelöscht werden.',
+    'conflict.cause.readded': 'Doppelter Eintrag mit anderer IP: dasselbe Gerät (gleiche MAC) wurde nach einer Adressänderung (DHCP) erneut registriert. Lösche den Eintrag, der sich nicht mehr meldet.',
+    'conflict.cause.duplicate': 'Doppelte Registrierungseinträge für ein physisches Gerät, zum Beispiel über zwei Konfigurationseinträge hinzugefügt. Lösche einen davon.',
+    'conflict.cause.dhcp': 'DHCP-Änderung: die zuletzt bekannte Adresse des Offline-Geräts wurde einem anderen Gerät zugewiesen. Sie wird aktualisiert, sobald das Offline-Gerät zurückkommt; passiert das nie, ist der Eintrag veraltet.',
+    'conflict.cause.ip': 'IP-Konflikt: verschiedene Geräte (verschiedene MACs) verwenden dieselbe Adresse. Prüfe auf eine doppelte feste IP oder DHCP-Reservierung.',
+    'conflict.none': '✓ Keine Geräte teilen sich eine IP- oder MAC-Adresse.',
+    'conflict.shared_ip': 'IP {ip}',
+    'conflict.shared_mac': 'MAC {mac}',
+    'conflict.and': ' und ',
+    'conflict.title': '{count} Geräte teilen sich {shared}',
+    'conflict.table': 'Kollidierende Geräte',
+    'conflict.col.dashboard': 'Dashboard',
+    'conflict.open_device': 'Geräteseite öffnen',
+    'conflict.hidden': 'Ausgeblendet',
+    'conflict.hidden_title': 'Übersprungen, weil ein anderes Gerät diese IP bereits verwendet',
+    'conflict.shown': 'Angezeigt',
+    'conflict.likely_cause': '<strong>Wahrscheinliche Ursache:</strong> {cause}',
+    'cleanup.none': '✓ Keine verwaisten, hängenden oder fremden Entitäten gefunden.',
+    'cleanup.summary': '<strong>{count}</strong> {reason}',
+    'cleanup.table': 'Kandidaten zum Aufräumen',
+    'cleanup.select_all': 'Alle Entitäten auswählen',
+    'cleanup.select': '{entity} auswählen',
+    'cleanup.col.platform': 'Plattform',
+    'cleanup.col.state': 'Zustand',
+    'cleanup.col.reason': 'Grund',
+    'cleanup.disabled_by': 'deaktiviert durch {by}',
+    'cleanup.no_state': 'kein Zustand',
+    'cleanup.all_disabled': 'Alle ausgewählten Entitäten sind bereits deaktiviert.',
+    'cleanup.confirm_title': '{count} Entitäten {verb}?',
+    'cleanup.confirm_title_one': '{count} Entität {verb}?',
+    'cleanup.confirm_message': 'Vorschau - es wurde noch nichts geändert. Diese Einträge der Entitätsregistrierung werden {past}.',
+    'cleanup.remove_note': 'Entitäten, die die Integration noch bereitstellt, kommen nach einem Neustart zurück; deaktiviere diese stattdessen.',
+    'cleanup.skipped': '{count} bereits deaktivierte Entitäten werden übersprungen.',
+    'cleanup.skipped_one': '{count} bereits deaktivierte Entität wird übersprungen.',
+    'cleanup.job': 'Entitäten {verb}',
+    'power.warning.limit': 'Leistung {power} beträgt {pct} % der Nennleistung von {limit} W',
+    'power.warning.low': 'Spannung {voltage} V liegt unter {limit} V',
+    'power.warning.high': 'Spannung {voltage} V liegt über {limit} V',
+    'common.export_csv': 'CSV exportieren',
+    'common.export_json': 'JSON exportieren',
+    'toast.update_started': 'Firmware-Update auf {device} gestartet',
+    'toast.update_failed': 'Fehler beim Firmware-Update: {error}',
+    'toast.reboot_sent': 'Neustartbefehl an {device} gesendet',
+    'toast.reboot_failed': 'Fehler beim Neustart des Geräts: {error}',
+    'toast.pressed': '{label} gedrückt',
+    'toast.press_failed': 'Fehler beim Drücken der Taste: {error}',
+    'toast.view_in_log': 'Im Protokoll anzeigen',
+    'log.search': 'Benutzer, Gerät, Aktion oder Fehler suchen',
+    'log.search_label': 'Aktionsprotokoll durchsuchen',
+    'log.result_label': 'Nach Ergebnis filtern',
+    'log.all_results': 'Alle Ergebnisse',
+    'log.succeeded': 'Erfolgreich',
+    'log.failed': 'Fehlgeschlagen ({count})',
+    'log.failed_result': 'fehlgeschlagen',
+    'log.export_csv_title': 'Die angezeigten Einträge als CSV herunterladen',
+    'log.export_json_title': 'Die angezeigten Einträge als JSON herunterladen',
+    'log.no_match': 'Keine Protokolleinträge entsprechen dem Filter.',
+    'log.empty': 'Über dieses Panel wurden noch keine Aktionen ausgeführt.',
+    'log.table': 'Aktionsprotokoll',
+    'log.col.time': 'Zeit',
+    'log.col.user': 'Benutzer',
+    'log.col.device': 'Gerät',
+    'log.col.action': 'Aktion',
+    'log.col.result': 'Ergebnis',
+    'panel.title': 'Shelly-Geräte',
+    'panel.search': 'Name, Modell, IP oder MAC suchen',
+    'panel.search_label': 'Geräte suchen',
+    'panel.model_label': 'Nach Modell filtern',
+    'panel.all_models': 'Alle Modelle',
+    'panel.clear_filters': 'Filter zurücksetzen',
+    'panel.columns': 'Spalten',
+    'panel.columns_title': 'Spalten ein-, ausblenden und anordnen',
+    'panel.export_csv_title': 'Die angezeigten Geräte als CSV herunterladen',
+    'panel.export_json_title': 'Die angezeigten Geräte als JSON herunterladen',
+    'panel.history': 'Verlauf',
+    'panel.group_by': 'Gruppieren nach',
+    'panel.read_only': 'Nur-Lese-Ansicht - Aktionen sind nur für Administratoren verfügbar.',
+    'panel.error': 'Fehler: {error}',
+    'panel.loading': 'Geräte werden geladen...',
+    'panel.no_devices': 'Keine Shelly-Geräte gefunden.',
+    'panel.no_match': 'Keine Geräte entsprechen den aktuellen Filtern.',
+    'panel.count_filtered': '{shown} von {total} Geräten',
+    'panel.count_filtered_one': '{shown} von {total} Gerät',
+    'panel.source': 'Quelle: Geräte- und Entitätsregistrierung von Home Assistant',
+    'config.invalid': 'Ungültige Panel-Konfiguration',
+    'config.ignored': 'diese Optionen werden ignoriert und verwenden ihre Standardwerte:',
+    'config.error.root': 'config muss eine Zuordnung von Optionen sein',
+    'config.error.sort_column': 'default_sort: unbekannte oder nicht sortierbare Spalte "{column}"',
+    'config.error.sort_direction': 'default_sort.direction muss "asc" oder "desc" sein, nicht "{direction}"',
+    'config.error.columns': 'columns muss eine nicht leere Liste von Spaltenschlüsseln sein',
+    'config.error.unknown_columns': 'columns: unbekannte Spalten {columns} (verfügbar: {available})',
+    'config.error.unknown_columns_one': 'columns: unbekannte Spalte {columns} (verfügbar: {available})',
+    'config.error.match': '{option} muss eine Zuordnung mit name-, area- und/oder model-Mustern sein',
+    'config.error.match_field': '{option}: unbekanntes Feld (verwende {fields})',
+    'config.error.pattern': '{option}: "{pattern}" ist kein gültiger regulärer Ausdruck',
+    'config.error.rssi_values': 'rssi_thresholds muss numerische Werte für good, fair und weak enthalten (dBm)',
+    'config.error.rssi_order': 'rssi_thresholds muss absteigend sein: good > fair > weak, z. B. -50, -60, -70',
+    'config.error.temperature': 'temperature_warning muss eine Zahl sein (°C)',
+    'config.error.power_limits': 'power_limits muss eine Zuordnung von Modell zu Nennleistung sein (W)',
+    'config.error.power_limit': '{option} muss eine positive Zahl sein (W)',
+    'config.error.power_warning': 'power_limit_warning muss ein Anteil zwischen 0 und 1 sein, z. B. 0.9',
+    'config.error.voltage_values': 'voltage_range muss numerische min- und max-Werte enthalten (V)',
+    'config.error.voltage_order': 'voltage_range.min muss kleiner als voltage_range.max sein',
+    'config.error.templates': 'templates muss eine Liste von Gerätevorlagen sein',
+    'config.error.protected': 'protected muss eine Liste von Gerätenamen oder Geräte-IDs sein',
+    'config.error.boolean': '{option} muss true oder false sein',
+    'config.error.unknown': 'unbekannte Option "{option}"',
+    'config.error.template': '{option} muss eine Zuordnung sein',
+    'config.error.template_unknown': '{template}: unbekannte Option "{option}"',
+    'config.error.min_firmware': '{option} muss eine Version wie 1.4.0 sein',
+    'config.error.entities': '{option} muss eine Zuordnung von Entitätsname zu Wert sein',
+    'config.error.entity_domain': '{option}: nur Entitäten vom Typ {domains} können gesetzt werden',
+    'config.error.entity_value': '{option} muss on/off, eine Option oder eine Zahl sein',
+    'config.error.template_empty': '{option} hat nichts zu prüfen (setze cloud, bluetooth, entities oder min_firmware)',
+    'notes.loading': 'Versionshinweise werden geladen...',
+    'notes.error': 'Versionshinweise konnten nicht geladen werden: {error}',
+    'notes.none': 'Keine Versionshinweise verfügbar.',
+    'notes.changelog': 'Vollständiges Änderungsprotokoll',
+    'cell.temperature_warning': 'Über {limit}',
+    'cell.booted': 'Gestartet {time}',
+    'common.active': 'Aktiv',
+    'common.inactive': 'Inaktiv',
+    'duration.days': '{d}T {h}h',
+    'duration.hours': '{h}h {m}min',
+    'duration.minutes': '{m}min',
+    'chart.show': 'Verlauf anzeigen',
+    'chart.no_history': 'Kein Verlauf verfügbar.',
+    'chart.min': 'min {value}',
+    'chart.max': 'max {value}',
+    'chart.now': 'aktuell {value}',
+    'chart.label': 'Verlauf von {name}',
+    'chart.title': '{name} - letzte {period}',
+    'chart.signal_drop': 'Signal liegt {drop} dB unter dem Median dieses Geräts im Zeitraum.',
+    'chart.rssi': 'WLAN-Signal',
+    'chart.temperature': 'Gerätetemperatur',
+    'drawer.info.manufacturer': 'Hersteller',
+    'drawer.info.model': 'Modell',
+    'drawer.info.area': 'Bereich',
+    'drawer.info.firmware': 'Firmware',
+    'drawer.info.hardware': 'Hardware',
+    'drawer.info.ip': 'IP-Adresse',
+    'drawer.info.mac': 'MAC-Adresse',
+    'drawer.info.via': 'Verbunden über',
+    'drawer.info.config_entry': 'Konfigurationseintrag',
+    'drawer.channels': 'Kanäle',
+    'drawer.actions': 'Aktionen',
+    'drawer.install': '{version} installieren',
+    'drawer.no_update': 'Kein Update verfügbar',
+    'power.total': '<strong>{value}</strong> Gesamtleistung',
+    'power.energy': '<strong>{value}</strong> Energie',
+    'power.metering': '<strong>{count}</strong> messende Geräte',
+    'power.metering_one': '<strong>{count}</strong> messendes Gerät',
+    'power.warnings': '<strong>{count}</strong> Leistungswarnungen',
+    'power.warnings_one': '<strong>{count}</strong> Leistungswarnung',
+    'power.show': 'Anzeigen',
+    'power.top': 'Größte Verbraucher',
+    'columns.custom_title': '{domain} passend zu {pattern}',
+    'columns.error.label': 'Gib einen Spaltennamen ein.',
+    'columns.error.pattern': 'Gib ein Entitätsmuster ein, z. B. _power$',
+    'columns.error.invalid': '"{pattern}" ist kein gültiger regulärer Ausdruck.',
+    'columns.up': 'Nach oben',
+    'columns.down': 'Nach unten',
+    'columns.remove': 'Spalte entfernen',
+    'columns.add_title': 'Entitätsspalte hinzufügen',
+    'columns.add_help': 'Zeigt je Gerät die erste Entität, deren entity_id zum Muster passt, z. B. <code>_power$</code>, <code>_voltage$</code> oder <code>_energy$</code>.',
+    'columns.label': 'Spaltenname',
+    'columns.pattern': 'Muster, z. B. _power$',
+    'columns.add': 'Hinzufügen',
+    'columns.reset': 'Auf Standard zurücksetzen',
+    'common.done': 'Fertig',
+    'bulk.action.rollout': 'Firmware aktualisieren (gestaffelter Rollout)',
+    'bulk.action_label': 'Massenaktion',
+    'bulk.select_filtered': 'Alle {count} gefilterten auswählen',
+    'bulk.waves': 'Wellen',
+    'bulk.waves_title': 'Wellengrößen, z. B. 1,5,rest',
+    'bulk.timeout': 'Zeitlimit',
+    'bulk.timeout_title': 'Minuten, die ein Gerät für die Rückkehr brauchen darf',
+    'bulk.parallel': 'Parallel',
+    'bulk.run': 'Ausführen',
+    'bulk.unsupported': '{count} ausgewählte Geräte unterstützen diese Aktion nicht und werden übersprungen.',
+    'bulk.unsupported_one': '{count} ausgewähltes Gerät unterstützt diese Aktion nicht und wird übersprungen.',
+    'bulk.protected': 'Geschützte Geräte {names} werden übersprungen; verwende die Schaltfläche des Geräts selbst.',
+    'bulk.protected_one': 'Geschütztes Gerät {names} wird übersprungen; verwende die Schaltfläche des Geräts selbst.',
+    'bulk.none_supported': 'Keines der {count} ausgewählten Geräte unterstützt diese Aktion.',
+    'bulk.none_supported_one': 'Das ausgewählte Gerät unterstützt diese Aktion nicht.',
+    'bulk.confirm_title': '{action} auf {count} Geräten?',
+    'bulk.confirm_title_one': '{action} auf {count} Gerät?',
+    'job.progress': '{succeeded} erfolgreich, {failed} fehlgeschlagen, {remaining} verbleibend',
+    'job.status.queued': 'in Warteschlange',
+    'job.status.running': 'läuft',
+    'job.status.succeeded': 'erfolgreich',
+    'job.status.failed': 'fehlgeschlagen',
+    'job.status.pending': 'ausstehend',
+    'job.status.installing': 'wird installiert',
+    'job.status.waiting': 'wartet',
+    'rollout.error.empty': 'Gib mindestens eine Wellengröße ein, z. B. 1,5,rest',
+    'rollout.error.rest': '"rest" kann nur die letzte Welle sein',
+    'rollout.error.size': 'Ungültige Wellengröße "{size}"',
+    'rollout.running_title': 'Rollout läuft bereits',
+    'rollout.running_message': 'Warte, bis der aktuelle Rollout abgeschlossen ist, oder brich ihn zuerst ab.',
+    'rollout.invalid_waves': 'Ungültige Wellen',
+    'rollout.protected': 'Geschützte Geräte {names} werden übersprungen.',
+    'rollout.protected_one': 'Geschütztes Gerät {names} wird übersprungen.',
+    'rollout.title': 'Gestaffelter Firmware-Rollout',
+    'rollout.none': 'Keines der ausgewählten Geräte kann in einem Rollout aktualisiert werden.',
+    'rollout.confirm_title': 'Gestaffelter Firmware-Rollout auf {count} Geräte?',
+    'rollout.confirm_title_one': 'Gestaffelter Firmware-Rollout auf {count} Gerät?',
+    'rollout.confirm_message': 'Jede Welle startet, sobald jedes Gerät der vorherigen Welle mit der neuesten Firmware wieder online ist. Der Rollout hält an, wenn ein Gerät länger als {minutes} Minuten braucht.',
+    'rollout.wave_item': 'Welle {wave}: {names}',
+    'rollout.start': 'Rollout starten',
+    'rollout.already_current': 'Bereits aktuell',
+    'rollout.timed_out': 'Nach {minutes} min nicht mit der neuesten Firmware zurück',
+    'rollout.halted_reason': '{names} in Welle {wave} fehlgeschlagen',
+    'rollout.status.running': 'Läuft',
+    'rollout.status.halted': 'Angehalten',
+    'rollout.status.completed': 'Abgeschlossen',
+    'rollout.status.cancelled': 'Abgebrochen',
+    'rollout.progress': '{done} von {total} aktualisiert',
+    'rollout.resume': 'Wiederholen und fortsetzen',
+    'rollout.wave': 'Welle {wave}',
+    'rollout.canary': 'Welle {wave} (Kanarienvogel)',
+    'dialog.type_to_confirm': 'Gib {text} zur Bestätigung ein',
+    'badge.updates': '{count} brauchen Updates',
+    'badge.updates_one': '{count} braucht ein Update',
+    'badge.offline': '{count} offline',
+    'badge.weak': '{count} schwaches Signal',
+    'panel.overview': 'Shelly-Geräteübersicht',
+    'panel.select_all': 'Alle gefilterten Geräte auswählen',
+    'card.details': 'Details',
+    'card.hide_details': 'Details ausblenden',
+    'confirm.press': '"{label}" drücken?',
+    'confirm.update': 'Firmware-Update für dieses Gerät starten?',
+    'confirm.update_beta': 'BETA-Firmware auf diesem Gerät installieren?',
+    'confirm.reboot': 'Dieses Gerät neu starten? Es ist kurzzeitig nicht verfügbar.',
+    'panel.select_device': '{name} auswählen',
+    'security.failing': '<strong>{count}</strong> fehlgeschlagene Prüfungen',
+    'security.failing_one': '<strong>{count}</strong> fehlgeschlagene Prüfung',
+    'security.score.fail': 'Fehler',
+    'security.score.warn': 'Warnung',
+    'security.score.unknown': 'unbekannt',
+    'security.score.pass': 'OK',
+    'security.table': 'Shelly-Sicherheitsübersicht',
+    'security.score': 'Bewertung',
+    'offline.count': '<strong>{count}</strong> Geräte sind offline',
+    'offline.count_one': '<strong>{count}</strong> Gerät ist offline',
+    'offline.disabled': '{count} in der Geräteregistrierung deaktiviert',
+    'offline.show': 'Offline-Geräte anzeigen',
+    'cell.details': 'Gerätedetails anzeigen',
+    'cell.protected': 'Geschützt: Neustart und Update erfordern die Eingabe des Gerätenamens',
+    'cell.disabled_by': 'Deaktiviert durch {by}',
+    'cell.offline_since': 'seit {time}',
+    'cell.last_seen': 'gesehen {time}',
+    'cell.web_interface': 'Weboberfläche öffnen',
+    'cell.device_page': 'Gerätekonfiguration öffnen',
+    'cell.signal_drop': 'Signal {drop} dB unter dem Median dieses Geräts',
+    'cell.rated': 'Nennleistung {limit} W',
+    'cell.beta_firmware': 'Beta-Firmware',
+    'cell.beta_name': '{name} (Beta)',
+    'cell.update_available': 'Firmware-Update verfügbar',
+    'cell.update': 'Aktualisieren',
+    'cell.update_title': 'Klicken, um die Firmware zu aktualisieren',
+    'cell.up_to_date': 'Aktuell',
+    'cell.unknown': 'Unbekannt',
+    'cell.reboot': 'Neustart',
+    'cell.reboot_title': 'Klicken, um das Gerät neu zu starten',
+    'cell.updating': 'Wird aktualisiert',
+    'cell.updating_pct': 'Wird aktualisiert {pct}',
+    'cell.installing': 'Firmware wird installiert',
+    'cell.beta': 'Beta',
+    'cell.install_stable': 'Klicken, um stabile Firmware zu installieren',
+    'cell.install_beta': 'Klicken, um Beta-Firmware zu installieren',
+    'notes.title': 'Versionshinweise',
+  },
+};
 
 class ShellyDashboardPanel extends HTMLElement {
   constructor() {
@@ -11,533 +1641,4300 @@ class ShellyDashboardPanel extends HTMLElement {
     this._hass = null;
     this._panel = null;
     this._narrow = false;
+    this._compactQuery = window.matchMedia ? window.matchMedia(COMPACT_MEDIA_QUERY) : null;
+    this._onCompactChange = () => this._render();
     this._data = [];
+    this._conflicts = [];
+    this._devices = null;
+    this._entities = null;
+    this._areas = [];
+    this._floors = [];
+    this._devicesById = new Map();
+    this._entitiesByDevice = new Map();
+    this._trackedEntities = new Map();
+    this._unsubs = [];
+    this._renderTimer = null;
+    this._reloadTimer = null;
     this._loading = false;
     this._error = null;
     this._sort = { key: 'name', dir: 'asc' };
+    this._config = DEFAULT_CONFIG;
+    this._configErrors = [];
+    this._filters = this._loadFilters();
+    this._groupBy = this._loadGroupBy();
+    this._view = this._loadView();
+    // Addresses from the previous visit, to spot devices whose IP changed since
+    this._previousIps = this._storageGet('knownIps') || {};
+    this._collapsedGroups = new Set(this._storageGet('collapsedGroups') || []);
+    this._expandedCards = new Set();
+    // Rows of the device table and the slice of them currently rendered
+    this._tableItems = [];
+    this._virtualRange = null;
+    this._rowHeight = VIRTUAL_ROW_HEIGHT;
+    this._scrollFrame = null;
+    this._selected = new Set();
+    this._bulkAction = BULK_ACTIONS[0].key;
+    this._bulkConcurrency = this._storageGet('bulkConcurrency') || DEFAULT_BULK_CONCURRENCY;
+    this._bulkJob = null;
+    this._cleanupSelected = new Set();
+    this._cleanupJob = null;
+    this._driftSelected = new Set();
+    this._driftJob = null;
+    this._driftCache = null;
+    this._actionLog = [];
+    this._actionLogLoaded = false;
+    this._logFilter = { search: '', result: '' };
+    this._logHighlight = null;
+    this._toasts = [];
+    this._dialog = null;
+    this._releaseNotes = null;
+    this._columnLayout = null;
+    this._historyPeriod = HISTORY_PERIODS.some((p) => p.key === this._storageGet('historyPeriod')) ? this._storageGet('historyPeriod') : '24h';
+    this._history = new Map();
+    this._formatters = new Map();
+    this._historyQueue = new Set();
+    this._historyFetching = false;
+    this._chartDevice = null;
+    this._drawerDevice = null;
+    this._configEntries = null;
+    this._customColumns = [];
+    this._columnsLoaded = false;
+    this._columnChooserOpen = false;
+    this._columnDraft = { label: '', pattern: '', domain: 'sensor', error: null };
+    this._applyColumnSettings(this._storageGet('columns'));
+    this._rollout = this._storageGet('rollout');
+    this._rolloutWaves = this._storageGet('rolloutWaves') || DEFAULT_ROLLOUT_WAVES;
+    this._rolloutTimeout = this._storageGet('rolloutTimeout') || DEFAULT_ROLLOUT_TIMEOUT_MIN;
+    this._rolloutTimer = null;
+    this._rolloutBusy = false;
     this.attachShadow({ mode: 'open' });
+    this._attachEventListeners();
   }
 
   set hass(hass) {
+    const oldHass = this._hass;
     this._hass = hass;
-    if (!this._loading && (!this._data || this._data.length === 0)) {
-      this._loadData();
-    } else {
+    this._subscribeEvents();
+    if (!this._columnsLoaded) this._loadColumnSettings();
+    if (!this._actionLogLoaded) this._loadActionLog();
+    if (!this._devices) {
+      if (!this._loading) this._loadData();
+      return;
+    }
+    if (oldHass && oldHass.states !== hass.states) {
+      this._handleStateChanges(oldHass.states);
+      this._rolloutTick();
+    }
+    // Language, number/date formats and the unit system come from the user's profile and
+    // the core config, which can change while the panel is open
+    if (oldHass && (oldHass.language !== hass.language || oldHass.locale !== hass.locale
+      || oldHass.config?.unit_system?.temperature !== hass.config?.unit_system?.temperature)) {
+      this._buildRows();
       this._render();
     }
   }
 
-  set panel(panel) { this._panel = panel; }
-  set narrow(narrow) { this._narrow = narrow; this._render(); }
-
-  // Helper to get domain from entity_id
-  _getDomain(entity_id) {
-    return entity_id ? entity_id.split('.')[0] : '';
-  }
+  set panel(panel) {
+    const rawConfig = panel?.config;
+    const firstPanel = !this._panel;
+    this._panel = panel;
+    if (!firstPanel && rawConfig === this._rawConfig) return;
+    this._rawConfig = rawConfig;
 
-  async _loadData() {
-    if (!this._hass) return;
-    this._loading = true;
-    this._error = null;
+    const { config, errors } = this._parsePanelConfig(rawConfig);
+    this._config = config;
+    this._configErrors = errors;
+    if (firstPanel) {
+      this._sort = { key: config.default_sort.column, dir: config.default_sort.direction };
+    }
+    if (this._devices) this._buildRows();
     this._render();
+  }
 
-    try {
-      const [devices, entities] = await Promise.all([
-        this._hass.callWS({ type: 'config/device_registry/list' }),
-        this._hass.callWS({ type: 'config/entity_registry/list' }),
-      ]);
-
-      // Group entities by device
-      const entitiesByDevice = new Map();
-      for (const ent of entities) {
-        if (!entitiesByDevice.has(ent.device_id)) {
-          entitiesByDevice.set(ent.device_id, []);
-        }
-        entitiesByDevice.get(ent.device_id).push(ent);
-      }
-
-      const stateFor = (entity_id) => this._hass?.states?.[entity_id];
-
-      // Filter only real Shelly devices
-      const shellyDevices = devices.filter((d) => {
-        const ents = entitiesByDevice.get(d.id) || [];
-        const isShellyIntegration = ents.some((e) => e.platform === 'shelly');
-        const isShellyManufacturer = d.manufacturer && String(d.manufacturer).toLowerCase() === 'shelly';
-        return isShellyIntegration || isShellyManufacturer;
-      });
+  set narrow(narrow) { this._narrow = narrow; this._render(); }
 
-      // Deduplicate by device_id and IP - each device appears only once
-      const seenDevices = new Set();
-      const rows = [];
-      
-      for (const d of shellyDevices) {
-        if (seenDevices.has(d.id)) continue;
-        
-        const ents = entitiesByDevice.get(d.id) || [];
-        const primaryEnt = this._selectPrimaryEntity(ents, stateFor);
-        const ip = this._extractIP(d, ents, stateFor);
+  // Validate the panel_custom `config:` block. Invalid options are reported and fall back
+  // to their defaults, so one typo doesn't take the whole panel down. Errors are translation
+  // keys with their params, translated when the banner renders so they follow the language.
+  _parsePanelConfig(raw) {
+    const config = {
+      ...DEFAULT_CONFIG,
+      rssi_thresholds: { ...DEFAULT_CONFIG.rssi_thresholds },
+      voltage_range: { ...DEFAULT_CONFIG.voltage_range },
+    };
+    const errors = [];
+    const error = (key, params = {}) => errors.push({ key: `config.error.${key}`, params });
+    if (raw === undefined || raw === null) return { config, errors };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      error('root');
+      return { config, errors };
+    }
 
-        const ipKey = ip ? `ip_${ip}` : null;
-        if (ipKey && seenDevices.has(ipKey)) continue;
-        
-        seenDevices.add(d.id);
-        if (ipKey) seenDevices.add(ipKey);
+    const columnKeys = COLUMNS.map((c) => c.key);
+    const isBool = (v) => typeof v === 'boolean';
+    const isNumber = (v) => typeof v === 'number' && isFinite(v);
 
-        // MAC address
-        let mac = '';
-        if (Array.isArray(d.connections)) {
-          const macConn = d.connections.find((c) => c[0] === 'mac');
-          if (macConn) mac = macConn[1];
-        }
+    for (const [key, value] of Object.entries(raw)) {
+      // panel_custom adds its own settings under _panel_custom
+      if (key === '_panel_custom') continue;
 
-        // Cloud status - binary_sensor ending with _cloud
-        let cloudState = null;
-        const cloudEnt = ents.find((e) => this._getDomain(e.entity_id) === 'binary_sensor' && /_cloud$/i.test(e.entity_id));
-        if (cloudEnt) {
-          const st = stateFor(cloudEnt.entity_id);
-          if (st) cloudState = st.state === 'on';
+      switch (key) {
+        case 'default_sort': {
+          const column = typeof value === 'string' ? value : value?.column;
+          const direction = typeof value === 'string' ? 'asc' : (value?.direction ?? 'asc');
+          if (!columnKeys.includes(column) || COLUMNS.find((c) => c.key === column).sortable === false) {
+            error('sort_column', { column });
+          } else if (!['asc', 'desc'].includes(direction)) {
+            error('sort_direction', { direction });
+          } else {
+            config.default_sort = { column, direction };
+          }
+          break;
         }
-
-        // Device temperature - sensor ending with _device_temperature
-        let temperature = null;
-        const tempEnt = ents.find((e) => this._getDomain(e.entity_id) === 'sensor' && /_device_temperature$/i.test(e.entity_id));
-        if (tempEnt) {
-          const st = stateFor(tempEnt.entity_id);
-          if (st && st.state !== 'unknown' && st.state !== 'unavailable') {
-            temperature = st.state;
+        case 'columns': {
+          const unknown = Array.isArray(value) ? value.filter((c) => !columnKeys.includes(c)) : [];
+          if (!Array.isArray(value) || value.length === 0) {
+            error('columns');
+          } else if (unknown.length) {
+            error('unknown_columns', { count: unknown.length, columns: unknown.map((c) => `"${c}"`).join(', '), available: columnKeys.join(', ') });
+          } else {
+            config.columns = value;
           }
+          break;
         }
-
-        // RSSI - sensor ending with _rssi
-        let rssi = null;
-        const rssiEnt = ents.find((e) => this._getDomain(e.entity_id) === 'sensor' && /_rssi$/i.test(e.entity_id));
-        if (rssiEnt) {
-          const st = stateFor(rssiEnt.entity_id);
-          if (st && st.state !== 'unknown' && st.state !== 'unavailable') {
-            rssi = st.state;
+        case 'include':
+        case 'exclude': {
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            error('match', { option: key });
+            break;
+          }
+          const patterns = {};
+          for (const [field, pattern] of Object.entries(value)) {
+            if (!CONFIG_MATCH_FIELDS.includes(field)) {
+              error('match_field', { option: `${key}.${field}`, fields: CONFIG_MATCH_FIELDS.join(', ') });
+            } else if (typeof pattern !== 'string' || !this._compilePattern(pattern)) {
+              error('pattern', { option: `${key}.${field}`, pattern });
+            } else {
+              patterns[field] = this._compilePattern(pattern);
+            }
           }
+          config[key] = patterns;
+          break;
         }
-
-        // Uptime - sensor ending with _uptime
-        let uptime = null;
-        const uptimeEnt = ents.find((e) => this._getDomain(e.entity_id) === 'sensor' && /_uptime$/i.test(e.entity_id));
-        if (uptimeEnt) {
-          const st = stateFor(uptimeEnt.entity_id);
-          if (st && st.state !== 'unknown' && st.state !== 'unavailable') {
-            uptime = st.state;
+        case 'rssi_thresholds': {
+          const t = { ...config.rssi_thresholds, ...(value && typeof value === 'object' ? value : {}) };
+          if (!value || typeof value !== 'object' || !['good', 'fair', 'weak'].every((k) => isNumber(t[k]))) {
+            error('rssi_values');
+          } else if (!(t.good > t.fair && t.fair > t.weak)) {
+            error('rssi_order');
+          } else {
+            config.rssi_thresholds = { good: t.good, fair: t.fair, weak: t.weak };
           }
+          break;
         }
-
-        // Firmware update - update entity ending with _firmware_update
-        let fwUpdateEntity = null;
-        let fwUpToDate = null;
-        let fwUpdateAvailable = false;
-        const updateEnt = ents.find((e) => this._getDomain(e.entity_id) === 'update' && /_firmware_update$/i.test(e.entity_id));
-        if (updateEnt) {
-          fwUpdateEntity = updateEnt.entity_id;
-          const st = stateFor(updateEnt.entity_id);
-          if (st) {
-            fwUpdateAvailable = st.state === 'on';
-            fwUpToDate = st.state === 'off';
+        case 'temperature_warning':
+          if (!isNumber(value)) error('temperature');
+          else config.temperature_warning = value;
+          break;
+        case 'power_limits': {
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            error('power_limits');
+            break;
           }
+          const limits = {};
+          for (const [model, watts] of Object.entries(value)) {
+            if (!isNumber(watts) || watts <= 0) error('power_limit', { option: `power_limits.${model}` });
+            else limits[this._normalizeModel(model)] = watts;
+          }
+          config.power_limits = limits;
+          break;
         }
-
-        // Reboot button - button ending with _reboot
-        let rebootEntity = null;
-        const rebootEnt = ents.find((e) => this._getDomain(e.entity_id) === 'button' && /_reboot$/i.test(e.entity_id));
-        if (rebootEnt) {
-          rebootEntity = rebootEnt.entity_id;
+        case 'power_limit_warning':
+          if (!isNumber(value) || value <= 0 || value > 1) error('power_warning');
+          else config.power_limit_warning = value;
+          break;
+        case 'voltage_range': {
+          const range = { ...config.voltage_range, ...(value && typeof value === 'object' ? value : {}) };
+          if (!value || typeof value !== 'object' || !isNumber(range.min) || !isNumber(range.max)) {
+            error('voltage_values');
+          } else if (range.min >= range.max) {
+            error('voltage_order');
+          } else {
+            config.voltage_range = { min: range.min, max: range.max };
+          }
+          break;
         }
-
-        rows.push({
-          device_id: d.id,
-          entity_id: primaryEnt ? primaryEnt.entity_id : '',
-          name: d.name || d.model || d.id,
-          model: d.model || '',
-          ip,
-          mac,
-          cloud: cloudState,
-          temperature,
-          rssi,
-          uptime,
-          fwUpdateEntity,
-          fwUpToDate,
-          fwUpdateAvailable,
-          rebootEntity,
-          configuration_url: d.configuration_url || (ip ? `http://${ip}/` : ''),
-        });
+        case 'templates':
+          if (!Array.isArray(value)) {
+            error('templates');
+            break;
+          }
+          config.templates = value.map((t, i) => this._parseTemplate(t, i, errors)).filter(Boolean);
+          break;
+        case 'protected':
+          if (!Array.isArray(value) || !value.every((v) => typeof v === 'string' && v.trim())) {
+            error('protected');
+          } else {
+            config.protected = value.map((v) => v.trim().toLowerCase());
+          }
+          break;
+        case 'actions':
+        case 'bulk_actions':
+          if (!isBool(value)) error('boolean', { option: key });
+          else config[key] = value;
+          break;
+        default:
+          error('unknown', { option: key });
       }
+    }
 
-      this._data = rows;
-      this._loading = false;
-      this._render();
-    } catch (err) {
-      console.error('Shelly Dashboard Panel - Error loading data:', err);
-      this._error = String(err?.message || err);
-      this._loading = false;
-      this._render();
+    return { config, errors };
+  }
+
+  // include/exclude patterns from the panel config
+  _isDeviceIncluded(row) {
+    const { include, exclude } = this._config;
+    for (const [field, re] of Object.entries(include)) {
+      if (!re.test(row[field] || '')) return false;
+    }
+    for (const [field, re] of Object.entries(exclude)) {
+      if (re.test(row[field] || '')) return false;
     }
+    return true;
   }
 
-  // Select the best PRIMARY entity (no CONFIG or DIAGNOSTIC entities)
-  _selectPrimaryEntity(entities, stateFor) {
-    const primaryEntities = entities.filter(e => !e.entity_category);
-    
-    if (primaryEntities.length === 0) {
-      return entities[0];
+  // One entry of the `templates` option. Settings become checks that each find a switch,
+  // select or number entity by the end of its entity_id.
+  _parseTemplate(t, i, errors) {
+    const where = `templates[${i}]`;
+    const error = (key, params = {}) => errors.push({ key: `config.error.${key}`, params });
+    if (!t || typeof t !== 'object' || Array.isArray(t)) {
+      error('template', { option: where });
+      return null;
     }
+    const template = { name: typeof t.name === 'string' && t.name ? t.name : null, number: i + 1, match: {}, checks: [], minFirmware: null };
+    const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    const priorityDomains = ['light', 'switch', 'cover', 'sensor', 'binary_sensor'];
-    
-    for (const domain of priorityDomains) {
-      const withState = primaryEntities.filter((e) => this._getDomain(e.entity_id) === domain && stateFor(e.entity_id));
-      if (withState.length > 0) {
-        const primary = withState.find((e) => !/_\d+$/.test(e.entity_id) && !/channel_\d+/.test(e.entity_id));
-        return primary || withState[0];
+    for (const [key, value] of Object.entries(t)) {
+      switch (key) {
+        case 'name':
+          break;
+        case 'match':
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            error('match', { option: `${where}.match` });
+            break;
+          }
+          for (const [field, pattern] of Object.entries(value)) {
+            if (!CONFIG_MATCH_FIELDS.includes(field)) {
+              error('match_field', { option: `${where}.match.${field}`, fields: CONFIG_MATCH_FIELDS.join(', ') });
+            } else if (typeof pattern !== 'string' || !this._compilePattern(pattern)) {
+              error('pattern', { option: `${where}.match.${field}`, pattern });
+            } else {
+              template.match[field] = this._compilePattern(pattern);
+            }
+          }
+          break;
+        case 'cloud':
+        case 'bluetooth':
+          if (typeof value !== 'boolean') {
+            error('boolean', { option: `${where}.${key}` });
+          } else {
+            const pattern = key === 'cloud' ? /_cloud$/i : /_(bluetooth|ble)$/i;
+            template.checks.push({ key, labelKey: `drift.${key}`, domains: ['switch', 'binary_sensor'], pattern, value });
+          }
+          break;
+        case 'min_firmware':
+          if (!VERSION_RE.test(String(value ?? ''))) error('min_firmware', { option: `${where}.min_firmware` });
+          else template.minFirmware = String(value);
+          break;
+        case 'entities':
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            error('entities', { option: `${where}.entities` });
+            break;
+          }
+          for (const [name, expected] of Object.entries(value)) {
+            // "select.led_mode" limits the check to one domain, "led_mode" tries all of them
+            const [domain, suffix] = name.includes('.') ? name.split('.', 2) : [null, name];
+            if (domain && !TEMPLATE_DOMAINS[domain]) {
+              error('entity_domain', { option: `${where}.entities.${name}`, domains: Object.keys(TEMPLATE_DOMAINS).join(', ') });
+            } else if (!['boolean', 'string', 'number'].includes(typeof expected)) {
+              error('entity_value', { option: `${where}.entities.${name}` });
+            } else {
+              template.checks.push({
+                key: name,
+                label: suffix,
+                domains: domain ? [domain] : Object.keys(TEMPLATE_DOMAINS),
+                pattern: new RegExp(`_${escapeRe(suffix)}$`, 'i'),
+                value: expected,
+              });
+            }
+          }
+          break;
+        default:
+          error('template_unknown', { template: where, option: key });
       }
-      
-      const anyOfDomain = primaryEntities.find((e) => this._getDomain(e.entity_id) === domain);
-      if (anyOfDomain) return anyOfDomain;
     }
 
-    const withState = primaryEntities.find((e) => stateFor(e.entity_id));
-    if (withState) return withState;
+    if (template.checks.length === 0 && !template.minFirmware) {
+      error('template_empty', { option: where });
+      return null;
+    }
+    return template;
+  }
 
-    return primaryEntities[0];
+  // First template whose match patterns all match the row
+  _getTemplate(r) {
+    return this._config.templates.find((t) => Object.entries(t.match).every(([field, re]) => re.test(r[field] || ''))) || null;
   }
 
-  // Enhanced IP address extraction
-  _extractIP(device, entities, stateFor) {
-    // Method 1: configuration_url
-    if (device.configuration_url) {
-      try {
-        const url = new URL(device.configuration_url);
-        if (url.hostname && url.hostname !== 'localhost' && url.hostname !== '0.0.0.0') {
-          return url.hostname;
-        }
-      } catch {
-        const cleaned = device.configuration_url.replace(/^https?:\/\//, '').replace(/\/$/, '');
-        const hostname = cleaned.split('/')[0].split(':')[0];
-        if (hostname && hostname !== 'localhost' && hostname !== '0.0.0.0') {
-          return hostname;
-        }
+  // Deviations of a row from its template. Each has a fix (service call) when the panel can apply it.
+  _checkDrift(r, template) {
+    const ents = this._entitiesByDevice?.get(r.device_id) || [];
+    const states = this._hass?.states || {};
+    const deviations = [];
+    // `drifted` is false for settings that could not be checked; those are notes, not drift
+    const deviation = (check, expected, actual, fix, note = '', drifted = true) => deviations.push({
+      id: `${r.device_id}:${check}`,
+      row: r,
+      template: template.name || this._t('drift.template_name', { number: template.number }),
+      label: check,
+      expected,
+      actual,
+      fix,
+      note,
+      drifted,
+    });
+
+    const raw = (v) => (typeof v === 'boolean' ? this._t(v ? 'common.on' : 'common.off') : String(v));
+
+    for (const check of template.checks) {
+      const label = check.labelKey ? this._t(check.labelKey) : check.label;
+      // Domains in the check's order, so a switch wins over a read-only binary_sensor
+      const ent = check.domains
+        .map((d) => ents.find((e) => this._getDomain(e.entity_id) === d && check.pattern.test(e.entity_id)))
+        .find(Boolean);
+      if (!ent) {
+        deviation(label, raw(check.value), null, null, this._t('drift.no_entity'), false);
+        continue;
+      }
+      const domain = TEMPLATE_DOMAINS[this._getDomain(ent.entity_id)] || TEMPLATE_READ_ONLY_DOMAINS[this._getDomain(ent.entity_id)];
+      const expected = domain.parse(check.value);
+      if (expected === null) {
+        deviation(label, raw(check.value), null, null, this._t('drift.invalid_value', { entity: ent.entity_id }), false);
+        continue;
+      }
+      const st = states[ent.entity_id];
+      if (!st || st.state === 'unavailable' || st.state === 'unknown') {
+        deviation(label, domain.format(expected), st?.state || null, null, this._t('drift.not_available', { entity: ent.entity_id }), false);
+        continue;
+      }
+      const actual = domain.read(st);
+      if (domain.equal(actual, expected)) continue;
+      const options = st.attributes?.options;
+      if (Array.isArray(options) && !options.includes(expected)) {
+        deviation(label, domain.format(expected), domain.format(actual), null, this._t('drift.not_an_option', { value: expected, entity: ent.entity_id }));
+        continue;
+      }
+      if (!domain.fix) {
+        deviation(label, domain.format(expected), domain.format(actual), null, this._t('drift.read_only', { entity: ent.entity_id }));
+        continue;
       }
+      deviation(label, domain.format(expected), actual === null ? st.state : domain.format(actual), domain.fix(ent.entity_id, expected));
     }
 
-    // Method 2: Look for wifi_ip or ip_address entity
-    const ipPatterns = [/wifi_?ip$/i, /ip_?address$/i, /_ip$/i, /^ip$/i];
-
-    for (const pattern of ipPatterns) {
-      const ipEnt = entities.find((e) => pattern.test(e.entity_id) && this._getDomain(e.entity_id) === 'sensor');
-      if (ipEnt) {
-        const st = stateFor(ipEnt.entity_id);
-        if (st?.state && st.state !== 'unknown' && st.state !== 'unavailable') {
-          if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(st.state)) {
-            return st.state;
-          }
-        }
+    if (template.minFirmware) {
+      const installed = r.fwInstalledVersion || r.sw_version;
+      if (compareVersions(installed, template.minFirmware) < 0) {
+        const updatable = r.fwUpdateAvailable && r.fwUpdateEntity && compareVersions(r.fwLatestVersion, template.minFirmware) >= 0;
+        const isProtected = this._isProtected(r);
+        deviation(
+          this._t('drift.firmware'),
+          `≥ ${template.minFirmware}`,
+          installed || null,
+          updatable && !isProtected ? { domain: 'update', service: 'install', data: { entity_id: r.fwUpdateEntity } } : null,
+          !updatable ? this._t('drift.no_update') : isProtected ? this._t('drift.protected') : '',
+        );
       }
     }
+    return deviations;
+  }
 
-    // Method 3: Look through all sensor entities for IP pattern
-    const sensors = entities.filter((e) => this._getDomain(e.entity_id) === 'sensor');
-    for (const sensor of sensors) {
-      const st = stateFor(sensor.entity_id);
-      if (st?.state && /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(st.state)) {
-        return st.state;
+  // Rows that match a template, each with its deviations. Drift is checked for all rows once per
+  // rebuild, state change, config or language change and shared by the tab badge, view and remediation.
+  _getDrift(rows) {
+    const key = { data: this._data, states: this._hass?.states, config: this._config, lang: this._getLanguage() };
+    const cache = this._driftCache;
+    if (!cache || Object.keys(key).some((k) => cache[k] !== key[k])) {
+      const byDevice = new Map();
+      for (const r of this._data || []) {
+        const template = this._getTemplate(r);
+        if (template) byDevice.set(r.device_id, { row: r, template, deviations: this._checkDrift(r, template) });
       }
+      this._driftCache = { ...key, byDevice };
+    }
+    return rows.map((r) => this._driftCache.byDevice.get(r.device_id)).filter(Boolean);
+  }
+
+  _renderDriftView(rows) {
+    if (this._config.templates.length === 0) {
+      return `
+        <p class="muted" style="text-align: center; padding: 24px;">${this._t('drift.no_templates')}</p>
+      `;
     }
 
-    return '';
+    const checked = this._getDrift(rows);
+    const deviations = checked.flatMap((c) => c.deviations);
+    const fixable = deviations.filter((d) => d.fix);
+    // Remediation changes many devices at once, so it is a bulk tool
+    const editable = this._bulkActionsEnabled();
+    const job = this._driftJob;
+    const running = job && job.items.some((i) => i.status === 'queued' || i.status === 'running');
+
+    // Forget selections of deviations that were fixed in the meantime
+    const fixableIds = new Set(fixable.map((d) => d.id));
+    for (const id of this._driftSelected) {
+      if (!fixableIds.has(id)) this._driftSelected.delete(id);
+    }
+    const selected = this._driftSelected.size;
+    const allSelected = fixable.length > 0 && selected === fixable.length;
+    const drifting = checked.filter((c) => c.deviations.some((d) => d.drifted)).length;
+
+    return `
+      <div class="security-summary">
+        <div class="summary-item">${this._t('drift.checked', { count: checked.length })}</div>
+        <div class="summary-item">${this._t('drift.compliant', { count: checked.length - drifting })}</div>
+        <div class="summary-item ${drifting ? 'sec-fail-text' : ''}">${this._t('drift.drifting', { count: drifting })}</div>
+        <div class="summary-item">${this._t('drift.fixable', { count: fixable.length })}</div>
+      </div>
+      ${editable && selected > 0 ? `
+        <div class="bulk-bar">
+          <span>${this._t('common.selected', { count: selected })}</span>
+          <button class="linklike drift-clear">${this._t('common.clear_selection')}</button>
+          <span class="bulk-controls">
+            <button class="action-button drift-run" ${running ? 'disabled' : ''}>${this._t('drift.remediate_button')}</button>
+          </span>
+        </div>
+      ` : ''}
+      ${job ? this._renderJobProgress(job, 'drift-dismiss') : ''}
+      ${checked.length === 0 ? `<p class="muted" style="text-align: center; padding: 24px;">${this._t('drift.no_match')}</p>` : ''}
+      ${deviations.length === 0 && checked.length > 0 ? `<p class="muted" style="text-align: center; padding: 24px;">${this._t('drift.all_match')}</p>` : ''}
+      ${deviations.length ? `
+      <div style="overflow-x: auto;">
+        <table aria-label="${this._t('drift.table')}">
+          <thead>
+            <tr>
+              ${editable ? `<th class="select-cell"><input type="checkbox" id="drift-select-all" ${allSelected ? 'checked' : ''} ${fixable.length ? '' : 'disabled'} aria-label="${this._t('drift.select_all')}"></th>` : ''}
+              <th>${this._t('common.device')}</th>
+              <th>${this._t('drift.col.template')}</th>
+              <th>${this._t('drift.col.setting')}</th>
+              <th>${this._t('drift.col.expected')}</th>
+              <th>${this._t('drift.col.actual')}</th>
+              <th>${this._t('drift.col.fix')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${deviations.map((d) => `
+              <tr>
+                ${editable ? `<td class="select-cell">${d.fix ? `<input type="checkbox" class="drift-select" data-deviation="${this._escape(d.id)}" ${this._driftSelected.has(d.id) ? 'checked' : ''} aria-label="${this._escape(this._t('drift.select', { name: d.row.name, setting: d.label }))}">` : ''}</td>` : ''}
+                <td><button class="linklike open-drawer" data-device="${this._escape(d.row.device_id)}">${this._escape(d.row.name)}</button></td>
+                <td>${this._escape(d.template)}</td>
+                <td>${this._escape(d.label)}</td>
+                <td>${this._escape(d.expected)}</td>
+                <td>${d.actual === null ? '<span class="muted">—</span>' : this._escape(d.actual)}</td>
+                <td>${d.fix ? `<code>${this._escape(`${d.fix.domain}.${d.fix.service}`)}</code>` : `<span class="muted">${this._escape(d.note)}</span>`}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ` : ''}
+    `;
   }
 
-  connectedCallback() { 
-    this._render(); 
+  // Preview the service calls for the selected deviations, then apply them
+  async _startRemediation(rows) {
+    if (!this._hass || !this._bulkActionsEnabled()) return;
+    const targets = this._getDrift(rows).flatMap((c) => c.deviations).filter((d) => d.fix && this._driftSelected.has(d.id));
+    if (targets.length === 0) return;
+
+    const confirmed = await this._confirmDialog({
+      title: this._t('drift.confirm_title', { count: targets.length }),
+      message: this._t('drift.confirm_message'),
+      items: targets.map((d) => `${d.row.name}: ${d.label} ${d.actual ?? '—'} → ${d.expected} (${d.fix.domain}.${d.fix.service})`),
+      confirmLabel: this._t('drift.confirm'),
+    });
+    if (!confirmed) return;
+
+    this._driftJob = {
+      label: this._t('drift.job'),
+      items: targets.map((d) => ({
+        name: `${d.row.name}: ${d.label}`,
+        id: d.id,
+        device_id: d.row.device_id,
+        fix: d.fix,
+        details: `${d.template}: ${d.label} ${d.actual ?? '—'} → ${d.expected}`,
+        status: 'queued',
+        error: null,
+      })),
+    };
+    this._render();
+
+    await this._runQueue(this._driftJob.items, this._bulkConcurrency, async (item) => {
+      await this._runAction(
+        { action: `Remediate (${item.fix.domain}.${item.fix.service})`, target: item.fix.data.entity_id, deviceId: item.device_id, details: item.details },
+        () => this._hass.callService(item.fix.domain, item.fix.service, item.fix.data),
+      );
+      this._driftSelected.delete(item.id);
+    });
+    this._render();
   }
 
-  async _handleFirmwareUpdate(entityId) {
-    if (!this._hass || !entityId) return;
-    
-    try {
-      await this._hass.callService('update', 'install', {
-        entity_id: entityId
-      });
-      
-      setTimeout(() => {
-        this._data = [];
-        this._loadData();
-      }, 2000);
-    } catch (err) {
-      console.error('Error updating firmware:', err);
-      alert(`Error updating firmware: ${err.message}`);
+  // Store the current addresses for the next visit. Devices without an IP keep their last known one.
+  _rememberIps(rows) {
+    const known = { ...(this._storageGet('knownIps') || {}) };
+    let changed = false;
+    for (const r of rows) {
+      if (r.ip && known[r.device_id] !== r.ip) {
+        known[r.device_id] = r.ip;
+        changed = true;
+      }
     }
+    if (changed) this._storageSet('knownIps', known);
   }
 
-  async _handleReboot(entityId) {
-    if (!this._hass || !entityId) return;
-    
+  // Host part of configuration_url when it is a name rather than an IP
+  _configUrlHostname(r) {
+    const device = this._devicesById?.get(r.device_id);
+    if (!device?.configuration_url) return null;
+    let host;
     try {
-      await this._hass.callService('button', 'press', {
-        entity_id: entityId
-      });
-      
-      alert('Reboot command sent to device');
-    } catch (err) {
-      console.error('Error rebooting device:', err);
-      alert(`Error rebooting device: ${err.message}`);
+      host = new URL(device.configuration_url).hostname;
+    } catch {
+      host = device.configuration_url.replace(/^https?:\/\//, '').split(/[/:]/)[0];
     }
+    return host && ipToNumber(host) === null ? host : null;
   }
 
-  _navigateToDevice(deviceId) {
-    if (!deviceId) return;
-    
-    window.history.pushState(null, '', `/config/devices/device/${deviceId}`);
-    window.dispatchEvent(new PopStateEvent('popstate'));
-  }
+  _renderNetworkView(rows) {
+    // Subnets are assumed to be /24, which is what nearly every home and office LAN uses
+    const subnets = new Map();
+    for (const r of rows) {
+      const n = ipToNumber(r.ip);
+      if (n === null) continue;
+      const key = r.ip.split('.').slice(0, 3).join('.');
+      if (!subnets.has(key)) subnets.set(key, []);
+      subnets.get(key).push(r);
+    }
+    const subnetList = [...subnets.entries()]
+      .sort((a, b) => compareIps(`${a[0]}.0`, `${b[0]}.0`))
+      .map(([key, members]) => ({ key, rows: members.sort((a, b) => compareIps(a.ip, b.ip)) }));
 
-  _render() {
-    const style = `
-      :host { display: block; padding: 16px; box-sizing: border-box; }
-      h1 { font-size: 22px; margin: 8px 0 16px; font-weight: 500; }
-      .card { background: var(--card-background-color, #fff); border-radius: 12px; padding: 16px; box-shadow: var(--ha-card-box-shadow, 0 2px 4px rgba(0,0,0,0.1)); }
-      table { width: 100%; border-collapse: collapse; }
-      th, td { text-align: left; padding: 12px 10px; border-bottom: 1px solid var(--divider-color, #e0e0e0); }
-      th { font-weight: 600; font-size: 13px; color: var(--secondary-text-color, #666); text-transform: uppercase; letter-spacing: 0.5px; }
-      th.sortable { cursor: pointer; user-select: none; transition: color 0.2s; }
-      th.sortable:hover { color: var(--primary-color); }
-      th.sortable .sort-indicator { opacity: 0.6; margin-left: 6px; font-size: 11px; }
-      tbody tr { transition: background-color 0.15s; }
-      tbody tr:hover { background-color: var(--table-row-background-hover-color, rgba(0,0,0,0.03)); }
-      .muted { color: var(--secondary-text-color, #666); }
-      .chip { display: inline-flex; align-items: center; justify-content: center; min-width: 28px; height: 28px; padding: 0 10px; border-radius: 14px; font-size: 14px; font-weight: 600; transition: transform 0.1s; }
-      .chip:hover { transform: scale(1.05); }
-      .ok { background: #4caf50; color: white; }
-      .off { background: #f44336; color: white; }
-      .unknown { background: #9e9e9e; color: white; opacity: 0.6; }
-      .loading { opacity: 0.7; }
-      a { color: var(--primary-color); text-decoration: none; font-weight: 500; }
-      a:hover { text-decoration: underline; }
-      .mac-link { font-family: monospace; font-size: 12px; cursor: pointer; }
-      .toolbar { display: flex; align-items: center; justify-content: space-between; margin-bottom: 16px; gap: 16px; flex-wrap: wrap; }
-      .linklike { background: none; border: none; padding: 0; margin: 0; color: var(--primary-text-color); text-decoration: none; cursor: pointer; font: inherit; font-weight: 500; transition: color 0.2s; }
-      .linklike:hover { color: var(--primary-color); }
-      .status-cell { text-align: center; }
-      .numeric-cell { text-align: right; font-family: monospace; }
-      .footer { margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--divider-color, #e0e0e0); font-size: 12px; }
-      .action-button { color: white; border: none; padding: 4px 12px; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 600; transition: opacity 0.2s; text-transform: uppercase; }
-      .action-button:hover { opacity: 0.9; }
-      .action-button:disabled { opacity: 0.5; cursor: not-allowed; }
-      .update-button { background: #ff9800; }
-      .reboot-button { background: #f44336; }
-      @media (max-width: 768px) {
-        :host { padding: 8px; }
-        .card { padding: 12px; }
-        th, td { padding: 8px 6px; font-size: 13px; }
-        .toolbar { flex-direction: column; align-items: stretch; }
+    const issues = [];
+    for (const r of rows) {
+      const previous = this._previousIps[r.device_id];
+      if (r.ip && previous && previous !== r.ip) {
+        issues.push({ row: r, kind: 'changed', text: this._t('network.ip_changed_hint', { previous }) });
       }
-    `;
+      if (!r.ip) {
+        issues.push({ row: r, kind: 'missing', text: this._t('network.no_ip_hint') });
+      }
+      const hostname = this._configUrlHostname(r);
+      if (hostname) {
+        issues.push({ row: r, kind: 'hostname', text: this._t('network.hostname_hint', { hostname }) });
+      }
+    }
+    const count = (kind) => issues.filter((i) => i.kind === kind).length;
 
-    const loading = this._loading;
-    const error = this._error;
-    const rows = this._data || [];
-    const shown = this._applySort(rows.slice());
+    // RSSI distribution over the configured thresholds
+    const { good, fair, weak } = this._config.rssi_thresholds;
+    const withRssi = rows.filter((r) => toNumber(r.rssi) !== null);
+    const buckets = [
+      { label: `🟢 ≥ ${good} dBm`, test: (v) => v >= good },
+      { label: `🟡 ${this._t('network.bucket_between', { from: fair, to: good - 1 })}`, test: (v) => v < good && v >= fair },
+      { label: `🟠 ${this._t('network.bucket_between', { from: weak, to: fair - 1 })}`, test: (v) => v < fair && v >= weak },
+      { label: `🔴 < ${weak} dBm`, test: (v) => v < weak },
+    ].map((b) => ({ ...b, count: withRssi.filter((r) => b.test(toNumber(r.rssi))).length }));
+    const maxBucket = Math.max(1, ...buckets.map((b) => b.count));
+    const weakest = withRssi.slice().sort((a, b) => toNumber(a.rssi) - toNumber(b.rssi)).slice(0, WEAKEST_DEVICES);
 
-    const icon = (val) => {
-      if (val === true) return '<span class="chip ok" title="Active">✓</span>';
-      if (val === false) return '<span class="chip off" title="Inactive">✗</span>';
-      return '<span class="chip unknown" title="Unknown">—</span>';
-    };
+    const deviceButton = (r) => `<button class="linklike open-drawer" data-device="${this._escape(r.device_id)}">${this._escape(r.name)}</button>`;
 
-    const formatTemp = (temp) => {
-      if (!temp) return '<span class="muted">—</span>';
-      return `${temp}°C`;
-    };
+    return `
+      <div class="security-summary">
+        <div class="summary-item">${this._t('network.subnets', { count: subnetList.length })}</div>
+        <div class="summary-item ${count('changed') ? 'sec-fail-text' : ''}">${this._t('network.ip_changed', { count: count('changed') })}</div>
+        <div class="summary-item">${this._t('network.without_ip', { count: count('missing') })}</div>
+        <div class="summary-item">${this._t('network.by_hostname', { count: count('hostname') })}</div>
+      </div>
 
-    const formatRSSI = (rssi) => {
-      if (!rssi) return '<span class="muted">—</span>';
-      const val = parseInt(rssi);
-      let quality = '';
-      if (val >= -50) quality = '🟢';
-      else if (val >= -60) quality = '🟡';
-      else if (val >= -70) quality = '🟠';
-      else quality = '🔴';
-      return `${quality} ${rssi} dBm`;
-    };
+      <h3 class="section-title">${this._t('network.subnets_title')}</h3>
+      ${subnetList.length ? `
+        <table aria-label="${this._t('network.subnets_table')}">
+          <thead><tr><th>${this._t('network.col.subnet')}</th><th class="numeric-cell">${this._t('network.col.devices')}</th><th>${this._t('network.col.addresses')}</th></tr></thead>
+          <tbody>
+            ${subnetList.map((s) => `
+              <tr>
+                <td><code>${this._escape(s.key)}.0/24</code></td>
+                <td class="numeric-cell">${this._formatNumber(s.rows.length)}</td>
+                <td class="subnet-hosts">${s.rows.map((r) => `<span class="chip" title="${this._escape(r.name)}">.${this._escape(r.ip.split('.')[3])} ${deviceButton(r)}</span>`).join(' ')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `<p class="muted">${this._t('network.no_ipv4')}</p>`}
 
-    const formatUptime = (uptime) => {
-      if (!uptime) return '<span class="muted">—</span>';
-      return uptime;
-    };
+      <h3 class="section-title">
+        ${this._t('network.hints_title')}
+        ${count('changed') ? `<button class="linklike ack-ips" title="${this._t('network.ack_title')}">${this._t('network.ack')}</button>` : ''}
+      </h3>
+      ${issues.length ? `
+        <table aria-label="${this._t('network.hints_title')}">
+          <thead><tr><th>${this._t('common.device')}</th><th>${this._t('column.ip', {}, 'IP Address')}</th><th>${this._t('network.col.hint')}</th></tr></thead>
+          <tbody>
+            ${issues.map((i) => `
+              <tr>
+                <td>${deviceButton(i.row)}</td>
+                <td>${i.row.ip ? this._escape(i.row.ip) : '<span class="muted">—</span>'}</td>
+                <td>${this._escape(i.text)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `<p class="muted">${this._t('network.all_stable')}</p>`}
 
-    this.shadowRoot.innerHTML = `
-      <style>${style}</style>
-      <div class="card ${loading ? 'loading' : ''}">
-        <div class="toolbar">
-          <h1>Shelly Devices</h1>
+      <h3 class="section-title">${this._t('network.wifi_title')}</h3>
+      ${withRssi.length ? `
+        <div class="rssi-distribution">
+          ${buckets.map((b) => `
+            <div class="rssi-bucket">
+              <span>${this._escape(b.label)}</span>
+              <span class="consumer-bar"><span style="width: ${Math.round((b.count / maxBucket) * 100)}%"></span></span>
+              <span class="numeric-cell">${this._formatNumber(b.count)}</span>
+            </div>
+          `).join('')}
         </div>
-        
-        ${error ? `<p style="color: var(--error-color); padding: 12px; background: rgba(244,67,54,0.1); border-radius: 8px; margin-bottom: 16px;">⚠️ Error: ${this._escape(error)}</p>` : ''}
-        
-        ${loading && !rows.length ? '<p class="muted" style="text-align: center; padding: 24px;">⏳ Loading devices...</p>' : ''}
-        
-        ${!loading && rows.length === 0 ? '<p class="muted" style="text-align: center; padding: 24px;">No Shelly devices found.</p>' : ''}
-        
-        ${shown.length > 0 ? `
-        <div style="overflow-x: auto;">
-          <table aria-label="Shelly devices overview">
-            <thead>
+        <p class="muted">${this._t('network.weakest')}</p>
+        <ol class="top-consumers">
+          ${weakest.map((r) => `
+            <li>
+              ${deviceButton(r)}
+              <span class="muted">${this._escape(r.area || '')}</span>
+              <span class="numeric-cell">${this._formatRSSI(r.rssi)}</span>
+            </li>
+          `).join('')}
+        </ol>
+      ` : `<p class="muted">${this._t('network.no_rssi')}</p>`}
+    `;
+  }
+
+  // Count shown next to a tab label, if any
+  _getViewBadge(view) {
+    if (view === 'conflicts') return this._conflicts.length;
+    if (view === 'drift') return this._getDrift(this._data || []).filter((c) => c.deviations.some((d) => d.drifted)).length;
+    return 0;
+  }
+
+  _normalizeModel(model) {
+    return String(model || '').trim().toLowerCase().replace(/^shelly\s+/, '');
+  }
+
+  // Rated power of a device from power_limits or DEFAULT_POWER_LIMITS, by model or model_id
+  _getPowerLimit(d) {
+    for (const model of [d.model, d.model_id].filter(Boolean).map((m) => this._normalizeModel(m))) {
+      const limit = this._config.power_limits[model] ?? DEFAULT_POWER_LIMITS[model];
+      if (limit) return limit;
+    }
+    return null;
+  }
+
+  // Only administrators can act on devices; everyone else gets the read-only view
+  _isAdmin() {
+    return this._hass?.user?.is_admin === true;
+  }
+
+  _actionsEnabled() {
+    return this._config.actions && this._isAdmin();
+  }
+
+  _bulkActionsEnabled() {
+    return this._actionsEnabled() && this._config.bulk_actions;
+  }
+
+  // Devices listed in `protected` by name or device id
+  _isProtected(r) {
+    return this._config.protected.includes(r.device_id.toLowerCase()) || this._config.protected.includes(String(r.name || '').toLowerCase());
+  }
+
+  _rowForEntity(entityId) {
+    const deviceId = this._trackedEntities?.get(entityId);
+    return deviceId ? (this._data || []).find((r) => r.device_id === deviceId) || null : null;
+  }
+
+  // Reboots and updates of protected devices need the device name typed; everything else
+  // keeps the quick browser confirm
+  async _confirmDeviceAction(entityId, message, confirmLabel, guarded = true) {
+    const r = this._rowForEntity(entityId);
+    if (!guarded || !r || !this._isProtected(r)) return confirm(message);
+    return this._confirmDialog({
+      title: `${confirmLabel}: ${r.name}`,
+      message: this._t('protected.message', { message, name: r.name }),
+      confirmLabel,
+      typeToConfirm: r.name,
+    });
+  }
+
+  // Card layout for Home Assistant's narrow (mobile) layout and small windows
+  _isCompact() {
+    return this._narrow || Boolean(this._compactQuery?.matches);
+  }
+
+  // Helper to get domain from entity_id
+  _getDomain(entity_id) {
+    return entity_id ? entity_id.split('.')[0] : '';
+  }
+
+  // Subscribe to registry changes so added/removed devices show up without a page reload
+  _subscribeEvents() {
+    if (this._unsubs.length || !this.isConnected || !this._hass?.connection) return;
+    const onRegistryUpdated = () => this._scheduleReload();
+    const eventTypes = ['device_registry_updated', 'entity_registry_updated', 'area_registry_updated', 'floor_registry_updated'];
+    this._unsubs = eventTypes.map((eventType) =>
+      this._hass.connection.subscribeEvents(onRegistryUpdated, eventType).catch((err) => {
+        console.error(`Shelly Dashboard Panel - Error subscribing to ${eventType}:`, err);
+        return null;
+      })
+    );
+  }
+
+  _unsubscribeEvents() {
+    for (const unsubPromise of this._unsubs) {
+      unsubPromise.then((unsub) => unsub && unsub());
+    }
+    this._unsubs = [];
+  }
+
+  _scheduleReload() {
+    clearTimeout(this._reloadTimer);
+    this._reloadTimer = setTimeout(() => {
+      this._reloadTimer = null;
+      this._loadData();
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  _scheduleRender() {
+    if (this._renderTimer) return;
+    this._renderTimer = setTimeout(() => {
+      this._renderTimer = null;
+      this._render();
+    }, RENDER_DEBOUNCE_MS);
+  }
+
+  async _loadData() {
+    if (!this._hass) return;
+    this._loading = true;
+    this._error = null;
+    this._render();
+
+    try {
+      const [devices, entities, areas, floors] = await Promise.all([
+        this._hass.callWS({ type: 'config/device_registry/list' }),
+        this._hass.callWS({ type: 'config/entity_registry/list' }),
+        this._hass.callWS({ type: 'config/area_registry/list' }),
+        // Floors exist since Home Assistant 2024.4; older versions just don't group by floor
+        this._hass.callWS({ type: 'config/floor_registry/list' }).catch(() => []),
+      ]);
+
+      this._devices = devices;
+      this._entities = entities;
+      this._areas = areas;
+      this._floors = floors;
+      this._buildRows();
+      this._loading = false;
+      this._render();
+      this._rolloutTick();
+    } catch (err) {
+      console.error('Shelly Dashboard Panel - Error loading data:', err);
+      this._error = String(err?.message || err);
+      this._loading = false;
+      this._render();
+    }
+  }
+
+  // Build all rows from the cached registries and the current hass states
+  _buildRows() {
+    const devices = this._devices || [];
+    const entities = this._entities || [];
+
+    // Group entities by device
+    const entitiesByDevice = new Map();
+    for (const ent of entities) {
+      if (!entitiesByDevice.has(ent.device_id)) {
+        entitiesByDevice.set(ent.device_id, []);
+      }
+      entitiesByDevice.get(ent.device_id).push(ent);
+    }
+
+    const stateFor = (entity_id) => this._hass?.states?.[entity_id];
+    this._areasById = new Map((this._areas || []).map((a) => [a.area_id, a]));
+    this._floorsById = new Map((this._floors || []).map((f) => [f.floor_id, f]));
+
+    // Filter only real Shelly devices
+    const shellyDevices = devices.filter((d) => {
+      const ents = entitiesByDevice.get(d.id) || [];
+      const isShellyIntegration = ents.some((e) => e.platform === 'shelly');
+      const isShellyManufacturer = d.manufacturer && String(d.manufacturer).toLowerCase() === 'shelly';
+      return isShellyIntegration || isShellyManufacturer;
+    });
+
+    // Deduplicate by device_id and IP - each device appears only once
+    const seenDevices = new Set();
+    const trackedEntities = new Map();
+    const rows = [];
+    const hidden = [];
+
+    for (const d of shellyDevices) {
+      if (seenDevices.has(d.id)) continue;
+
+      const ents = entitiesByDevice.get(d.id) || [];
+      const row = this._buildRow(d, ents, stateFor);
+      if (!this._isDeviceIncluded(row)) continue;
+
+      const ipKey = row.ip ? `ip_${row.ip}` : null;
+      if (ipKey && seenDevices.has(ipKey)) {
+        // Hidden behind the device that claimed this IP first; listed in the Conflicts view
+        seenDevices.add(d.id);
+        for (const ent of ents) {
+          trackedEntities.set(ent.entity_id, d.id);
+        }
+        hidden.push(row);
+        continue;
+      }
+
+      seenDevices.add(d.id);
+      if (ipKey) seenDevices.add(ipKey);
+
+      // Remember which entities feed this row, so state changes only touch this row
+      for (const ent of ents) {
+        trackedEntities.set(ent.entity_id, d.id);
+      }
+
+      rows.push(row);
+    }
+
+    this._devicesById = new Map(devices.map((d) => [d.id, d]));
+    this._shellyDeviceIds = new Set(shellyDevices.map((d) => d.id));
+    this._entitiesByDevice = entitiesByDevice;
+    this._trackedEntities = trackedEntities;
+    this._data = rows;
+    this._conflicts = this._findConflicts(rows, hidden);
+    this._rememberIps(rows);
+  }
+
+  // Group devices sharing an IP or MAC address. Devices sharing both end up in one conflict.
+  _findConflicts(rows, hidden) {
+    const hiddenIds = new Set(hidden.map((r) => r.device_id));
+    const all = rows.concat(hidden);
+    const conflicts = new Map();
+
+    for (const field of ['ip', 'mac']) {
+      const byValue = new Map();
+      for (const r of all) {
+        const value = field === 'mac' ? (r.mac || '').toLowerCase().replace(/[^0-9a-f]/g, '') : r.ip;
+        if (!value) continue;
+        if (!byValue.has(value)) byValue.set(value, []);
+        byValue.get(value).push(r);
+      }
+      for (const members of byValue.values()) {
+        if (members.length < 2) continue;
+        const key = members.map((r) => r.device_id).sort().join(',');
+        if (!conflicts.has(key)) {
+          conflicts.set(key, { key, rows: members, hidden: members.filter((r) => hiddenIds.has(r.device_id)).map((r) => r.device_id), shared: {} });
+        }
+        conflicts.get(key).shared[field] = members[0][field];
+      }
+    }
+
+    return [...conflicts.values()].map((c) => ({ ...c, cause: this._explainConflict(c) }));
+  }
+
+  // Best guess at why devices collide, based on what they share and which of them still report.
+  // Returns the translation key of the explanation.
+  _explainConflict(c) {
+    const reporting = c.rows.filter((r) => r.availability === 'online');
+    const silent = c.rows.length - reporting.length;
+
+    if (c.shared.mac) {
+      // Stale entry: the same device is registered more than once and only one entry reports
+      if (reporting.length && silent) return 'conflict.cause.stale';
+      // Registered again after its address changed (DHCP)
+      if (!c.shared.ip) return 'conflict.cause.readded';
+      return 'conflict.cause.duplicate';
+    }
+    // The address of an offline device was handed out to another one
+    if (reporting.length && silent) return 'conflict.cause.dhcp';
+    return 'conflict.cause.ip';
+  }
+
+  // Entity registry entries the Cleanup view offers for removal, with the reason why
+  _findCleanupCandidates() {
+    const states = this._hass?.states || {};
+    const devicesById = this._devicesById || new Map();
+    const shellyDeviceIds = this._shellyDeviceIds || new Set();
+    const stuckBefore = Date.now() - CLEANUP_STUCK_DAYS * 24 * 3600 * 1000;
+
+    const reasonFor = (ent, st) => {
+      if (ent.platform === 'shelly') {
+        if (!ent.device_id) return 'no_device';
+        if (!devicesById.has(ent.device_id)) return 'deleted_device';
+        if (st?.attributes?.restored) return 'restored';
+        if (st?.state === 'unavailable' && Date.parse(st.last_changed) < stuckBefore) return 'stuck';
+        return null;
+      }
+      return ent.device_id && shellyDeviceIds.has(ent.device_id) ? 'foreign' : null;
+    };
+
+    const candidates = [];
+    for (const ent of this._entities || []) {
+      const st = states[ent.entity_id];
+      const reason = reasonFor(ent, st);
+      if (!reason) continue;
+      const device = devicesById.get(ent.device_id);
+      candidates.push({
+        entity_id: ent.entity_id,
+        name: ent.name || ent.original_name || st?.attributes?.friendly_name || '',
+        platform: ent.platform,
+        device_id: device ? ent.device_id : null,
+        deviceName: device ? device.name_by_user || device.name || '' : '',
+        state: st ? st.state : null,
+        disabledBy: ent.disabled_by || null,
+        reason,
+      });
+    }
+    return candidates.sort((a, b) => a.entity_id.localeCompare(b.entity_id));
+  }
+
+  _renderCleanupView() {
+    const candidates = this._findCleanupCandidates();
+    // Disabling or removing many entities at once is a bulk tool
+    const editable = this._bulkActionsEnabled();
+    const job = this._cleanupJob;
+    const running = job && job.items.some((i) => i.status === 'queued' || i.status === 'running');
+
+    // Forget selections of entities that are gone after a registry reload
+    const ids = new Set(candidates.map((c) => c.entity_id));
+    for (const id of this._cleanupSelected) {
+      if (!ids.has(id)) this._cleanupSelected.delete(id);
+    }
+    const selected = this._cleanupSelected.size;
+    const allSelected = candidates.length > 0 && selected === candidates.length;
+
+    if (candidates.length === 0 && !job) {
+      return `<p class="muted" style="text-align: center; padding: 24px;">${this._t('cleanup.none')}</p>`;
+    }
+    const reasonLabel = (key) => this._t(`cleanup.reason.${key}`, {}, CLEANUP_REASONS[key].label);
+    const reasonTitle = (key) => this._t(`cleanup.reason.${key}.title`, { days: CLEANUP_STUCK_DAYS }, CLEANUP_REASONS[key].title);
+
+    return `
+      <div class="security-summary">
+        ${Object.keys(CLEANUP_REASONS).map((key) => `
+          <div class="summary-item" title="${this._escape(reasonTitle(key))}">${this._t('cleanup.summary', { count: candidates.filter((c) => c.reason === key).length, reason: this._escape(reasonLabel(key).toLowerCase()) })}</div>
+        `).join('')}
+      </div>
+      ${editable && selected > 0 ? `
+        <div class="bulk-bar">
+          <span>${this._t('common.selected', { count: selected })}</span>
+          <button class="linklike cleanup-clear">${this._t('common.clear_selection')}</button>
+          <span class="bulk-controls">
+            ${CLEANUP_ACTIONS.map((a) => `<button class="action-button cleanup-run" data-action="${a.key}" ${running ? 'disabled' : ''}>${this._escape(this._t(`cleanup.action.${a.key}`, {}, a.label))}…</button>`).join('')}
+          </span>
+        </div>
+      ` : ''}
+      ${job ? this._renderJobProgress(job, 'cleanup-dismiss') : ''}
+      ${candidates.length ? `
+      <div style="overflow-x: auto;">
+        <table aria-label="${this._t('cleanup.table')}">
+          <thead>
+            <tr>
+              ${editable ? `<th class="select-cell"><input type="checkbox" id="cleanup-select-all" ${allSelected ? 'checked' : ''} aria-label="${this._t('cleanup.select_all')}"></th>` : ''}
+              <th>${this._t('common.entity')}</th>
+              <th>${this._t('cleanup.col.platform')}</th>
+              <th>${this._t('common.device')}</th>
+              <th>${this._t('cleanup.col.state')}</th>
+              <th>${this._t('cleanup.col.reason')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${candidates.map((c) => `
               <tr>
-                <th class="sortable" data-key="name">Name <span class="sort-indicator">${this._getSortIndicator('name')}</span></th>
-                <th class="sortable" data-key="model">Model <span class="sort-indicator">${this._getSortIndicator('model')}</span></th>
-                <th class="sortable" data-key="ip">IP Address <span class="sort-indicator">${this._getSortIndicator('ip')}</span></th>
-                <th class="sortable" data-key="mac">MAC Address <span class="sort-indicator">${this._getSortIndicator('mac')}</span></th>
-                <th class="sortable status-cell" data-key="cloud" title="Cloud connection">Cloud <span class="sort-indicator">${this._getSortIndicator('cloud')}</span></th>
-                <th class="sortable numeric-cell" data-key="temperature" title="Device temperature">Temp <span class="sort-indicator">${this._getSortIndicator('temperature')}</span></th>
-                <th class="sortable numeric-cell" data-key="rssi" title="WiFi signal strength">RSSI <span class="sort-indicator">${this._getSortIndicator('rssi')}</span></th>
-                <th class="sortable" data-key="uptime" title="Device uptime">Uptime <span class="sort-indicator">${this._getSortIndicator('uptime')}</span></th>
-                <th class="sortable status-cell" data-key="fwUpToDate" title="Firmware update">FW Update <span class="sort-indicator">${this._getSortIndicator('fwUpToDate')}</span></th>
-                <th class="status-cell" title="Reboot device">Reboot</th>
+                ${editable ? `<td class="select-cell"><input type="checkbox" class="cleanup-select" data-entity="${this._escape(c.entity_id)}" ${this._cleanupSelected.has(c.entity_id) ? 'checked' : ''} aria-label="${this._escape(this._t('cleanup.select', { entity: c.entity_id }))}"></td>` : ''}
+                <td>
+                  <code>${this._escape(c.entity_id)}</code>
+                  ${c.name ? `<div class="muted">${this._escape(c.name)}</div>` : ''}
+                </td>
+                <td>${this._escape(c.platform || '')}</td>
+                <td>${c.device_id
+                  ? `<a class="device-link" data-device="${this._escape(c.device_id)}" title="${this._t('conflict.open_device')}">${this._escape(c.deviceName || c.device_id)}</a>`
+                  : '<span class="muted">—</span>'}</td>
+                <td>${c.disabledBy ? `<span class="muted">${this._escape(this._t('cleanup.disabled_by', { by: c.disabledBy }))}</span>` : c.state === null ? `<span class="muted">${this._t('cleanup.no_state')}</span>` : this._escape(c.state)}</td>
+                <td><span class="chip" title="${this._escape(reasonTitle(c.reason))}">${this._escape(reasonLabel(c.reason))}</span></td>
               </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ` : ''}
+    `;
+  }
+
+  // Preview the registry change as a dry run, then apply it to every selected entity
+  async _startCleanup(actionKey) {
+    const action = CLEANUP_ACTIONS.find((a) => a.key === actionKey);
+    if (!action || !this._hass || !this._bulkActionsEnabled()) return;
+
+    const selected = this._findCleanupCandidates().filter((c) => this._cleanupSelected.has(c.entity_id));
+    // Disabling an entity that is already disabled would only change who disabled it
+    const targets = action.key === 'disable' ? selected.filter((c) => !c.disabledBy) : selected;
+    const skipped = selected.length - targets.length;
+    const label = this._t(`cleanup.action.${action.key}`, {}, action.label);
+    const past = this._t(`cleanup.action.${action.key}.past`, {}, action.past);
+    if (targets.length === 0) {
+      await this._confirmDialog({ title: label, message: this._t('cleanup.all_disabled'), confirmLabel: this._t('common.ok'), cancelLabel: null });
+      return;
+    }
+
+    const confirmed = await this._confirmDialog({
+      title: this._t('cleanup.confirm_title', { action: label, verb: label.toLowerCase(), count: targets.length }),
+      message: [
+        this._t('cleanup.confirm_message', { past }),
+        action.key === 'remove' ? this._t('cleanup.remove_note') : '',
+        skipped ? this._t('cleanup.skipped', { count: skipped }) : '',
+      ].filter(Boolean).join(' '),
+      items: targets.map((c) => `${c.entity_id} (${this._t(`cleanup.reason.${c.reason}`, {}, CLEANUP_REASONS[c.reason].label)})`),
+      confirmLabel: label,
+    });
+    if (!confirmed) return;
+
+    this._cleanupJob = {
+      label: this._t('cleanup.job', { action: label, verb: label.toLowerCase() }),
+      items: targets.map((c) => ({ entity_id: c.entity_id, device_id: c.device_id, reason: c.reason, name: c.entity_id, status: 'queued', error: null })),
+    };
+    this._render();
+
+    await this._runQueue(this._cleanupJob.items, this._bulkConcurrency, async (item) => {
+      await this._runAction(
+        { action: `${action.label} entity`, target: item.entity_id, deviceId: item.device_id, details: CLEANUP_REASONS[item.reason].label },
+        () => this._hass.callWS(action.message(item.entity_id)),
+      );
+      this._cleanupSelected.delete(item.entity_id);
+    });
+    this._render();
+  }
+
+  _renderConflictsView() {
+    const conflicts = this._conflicts;
+    if (conflicts.length === 0) {
+      return `<p class="muted" style="text-align: center; padding: 24px;">${this._t('conflict.none')}</p>`;
+    }
+    const columns = new Map(this._getColumns().map((c) => [c.key, c]));
+    const availability = columns.get('availability');
+
+    return conflicts.map((c) => {
+      const shared = [
+        c.shared.ip ? this._t('conflict.shared_ip', { ip: `<code>${this._escape(c.shared.ip)}</code>` }) : '',
+        c.shared.mac ? this._t('conflict.shared_mac', { mac: `<code>${this._escape(c.shared.mac)}</code>` }) : '',
+      ].filter(Boolean).join(this._t('conflict.and'));
+      return `
+        <div class="conflict">
+          <h3>${this._t('conflict.title', { count: c.rows.length, shared })}</h3>
+          <table aria-label="${this._t('conflict.table')}">
+            <thead>
+              <tr>${['name', 'model', 'availability', 'ip', 'mac'].map((key) => `<th>${this._escape(columns.get(key).label)}</th>`).join('')}<th>${this._t('conflict.col.dashboard')}</th></tr>
             </thead>
             <tbody>
-              ${shown.map((r) => `
+              ${c.rows.map((r) => `
                 <tr>
-                  <td>
-                    ${r.entity_id 
-                      ? `<button class="linklike more-info" data-entity="${this._escape(r.entity_id)}">${this._escape(r.name || '')}</button>` 
-                      : this._escape(r.name || '')}
-                  </td>
+                  <td><a class="device-link" data-device="${this._escape(r.device_id)}" title="${this._t('conflict.open_device')}">${this._escape(r.name || r.device_id)}</a></td>
                   <td>${this._escape(r.model || '')}</td>
-                  <td>
-                    ${r.ip 
-                      ? `<a href="${this._escape(r.configuration_url)}" target="_blank" rel="noreferrer noopener" title="Open web interface">${this._escape(r.ip)}</a>` 
-                      : '<span class="muted">—</span>'}
-                  </td>
-                  <td>
-                    ${r.mac 
-                      ? `<a class="mac-link" data-device="${this._escape(r.device_id)}" title="Open device config page">${this._escape(r.mac)}</a>` 
-                      : '<span class="muted">—</span>'}
-                  </td>
-                  <td class="status-cell">${icon(r.cloud)}</td>
-                  <td class="numeric-cell">${formatTemp(r.temperature)}</td>
-                  <td class="numeric-cell">${formatRSSI(r.rssi)}</td>
-                  <td>${formatUptime(r.uptime)}</td>
-                  <td class="status-cell">
-                    ${r.fwUpdateAvailable 
-                      ? `<button class="action-button update-button" data-entity="${this._escape(r.fwUpdateEntity)}" title="Click to update firmware">Update</button>`
-                      : r.fwUpToDate === true
-                        ? '<span class="chip ok" title="Up to date">✓</span>'
-                        : '<span class="chip unknown" title="Unknown">—</span>'}
-                  </td>
-                  <td class="status-cell">
-                    ${r.rebootEntity 
-                      ? `<button class="action-button reboot-button" data-entity="${this._escape(r.rebootEntity)}" title="Click to reboot device">Reboot</button>`
-                      : '<span class="muted">—</span>'}
-                  </td>
+                  <td>${this._renderCell(availability, r)}</td>
+                  <td>${r.ip ? this._escape(r.ip) : '<span class="muted">—</span>'}</td>
+                  <td>${r.mac ? this._escape(r.mac) : '<span class="muted">—</span>'}</td>
+                  <td>${c.hidden.includes(r.device_id) ? `<span class="badge warn" title="${this._t('conflict.hidden_title')}">${this._t('conflict.hidden')}</span>` : this._t('conflict.shown')}</td>
                 </tr>
               `).join('')}
             </tbody>
           </table>
+          <p class="conflict-cause">${this._t('conflict.likely_cause', { cause: this._escape(this._t(c.cause)) })}</p>
         </div>
-        ` : ''}
-        
-        <div class="footer muted">
-          <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 8px;">
-            <span>${shown.length} ${shown.length === 1 ? 'device' : 'devices'}</span>
-            <span style="font-weight: 600; color: var(--primary-text-color);">v0.3.2</span>
-            <span>Source: Home Assistant Device & Entity Registry</span>
+      `;
+    }).join('');
+  }
+
+  // Recompute only the rows whose tracked entities got a new state object
+  _handleStateChanges(oldStates) {
+    const newStates = this._hass?.states || {};
+    const changedDevices = new Set();
+    for (const [entityId, deviceId] of this._trackedEntities) {
+      if (oldStates?.[entityId] !== newStates[entityId]) {
+        changedDevices.add(deviceId);
+      }
+    }
+    if (changedDevices.size === 0) return;
+
+    const stateFor = (entity_id) => this._hass?.states?.[entity_id];
+    const rows = this._data.slice();
+    const updated = new Map();
+
+    for (const deviceId of changedDevices) {
+      const idx = rows.findIndex((r) => r.device_id === deviceId);
+      const device = this._devicesById.get(deviceId);
+      if (!device) continue;
+      // Hidden duplicates aren't in the table; their only row is the one in the Conflicts view
+      const previous = idx === -1 ? this._conflicts.flatMap((c) => c.rows).find((r) => r.device_id === deviceId) : rows[idx];
+      if (!previous) continue;
+
+      const row = this._buildRow(device, this._entitiesByDevice.get(deviceId) || [], stateFor);
+      // A changed IP affects deduplication across devices, so rebuild everything
+      if (row.ip !== previous.ip) {
+        this._buildRows();
+        this._scheduleRender();
+        return;
+      }
+      if (idx !== -1) rows[idx] = row;
+      updated.set(deviceId, row);
+    }
+
+    this._data = rows;
+    // Conflicts keep their own row objects: swap in the new ones and explain the cause again,
+    // as it depends on which devices are online
+    this._conflicts = this._conflicts.map((c) => {
+      if (!c.rows.some((r) => updated.has(r.device_id))) return c;
+      const conflict = { ...c, rows: c.rows.map((r) => updated.get(r.device_id) || r) };
+      return { ...conflict, cause: this._explainConflict(conflict) };
+    });
+    this._scheduleRender();
+  }
+
+  // Build the table row for a single device
+  _buildRow(d, ents, stateFor) {
+    const primaryEnt = this._selectPrimaryEntity(ents, stateFor);
+    const ip = this._extractIP(d, ents, stateFor);
+
+    // MAC address
+    let mac = '';
+    if (Array.isArray(d.connections)) {
+      const macConn = d.connections.find((c) => c[0] === 'mac');
+      if (macConn) mac = macConn[1];
+    }
+
+    // Cloud status - binary_sensor ending with _cloud
+    let cloudState = null;
+    const cloudEnt = ents.find((e) => this._getDomain(e.entity_id) === 'binary_sensor' && /_cloud$/i.test(e.entity_id));
+    if (cloudEnt) {
+      const st = stateFor(cloudEnt.entity_id);
+      if (st) cloudState = st.state === 'on';
+    }
+
+    // Device temperature - sensor ending with _device_temperature, in the sensor's unit
+    // (Home Assistant converts it to the unit system unless the user overrode it)
+    let temperature = null;
+    let temperatureEntity = null;
+    let temperatureUnit = this._hass?.config?.unit_system?.temperature || '°C';
+    const tempEnt = ents.find((e) => this._getDomain(e.entity_id) === 'sensor' && /_device_temperature$/i.test(e.entity_id));
+    if (tempEnt) {
+      temperatureEntity = tempEnt.entity_id;
+      const st = stateFor(tempEnt.entity_id);
+      if (st?.attributes?.unit_of_measurement) temperatureUnit = st.attributes.unit_of_measurement;
+      if (st && st.state !== 'unknown' && st.state !== 'unavailable') {
+        temperature = st.state;
+      }
+    }
+
+    // RSSI - sensor ending with _rssi
+    let rssi = null;
+    let rssiEntity = null;
+    const rssiEnt = ents.find((e) => this._getDomain(e.entity_id) === 'sensor' && /_rssi$/i.test(e.entity_id));
+    if (rssiEnt) {
+      rssiEntity = rssiEnt.entity_id;
+      const st = stateFor(rssiEnt.entity_id);
+      if (st && st.state !== 'unknown' && st.state !== 'unavailable') {
+        rssi = st.state;
+      }
+    }
+
+    // Uptime - sensor ending with _uptime. The Shelly integration reports the boot time as a
+    // timestamp; other sources report a duration. Both are kept as the boot time so the shown
+    // uptime keeps counting between state changes.
+    let uptime = null;
+    let bootTime = null;
+    const uptimeEnt = ents.find((e) => this._getDomain(e.entity_id) === 'sensor' && /_uptime$/i.test(e.entity_id));
+    if (uptimeEnt) {
+      const st = stateFor(uptimeEnt.entity_id);
+      if (st && st.state !== 'unknown' && st.state !== 'unavailable') {
+        uptime = st.state;
+        bootTime = this._parseBootTime(st);
+      }
+    }
+
+    const metering = this._getMetering(ents, stateFor);
+    const powerLimit = this._getPowerLimit(d);
+    const powerWarnings = [];
+    if (powerLimit && metering.power !== null && metering.power >= powerLimit * this._config.power_limit_warning) {
+      powerWarnings.push(this._t('power.warning.limit', {
+        power: this._formatPower(metering.power),
+        pct: this._formatNumber(Math.round((metering.power / powerLimit) * 100)),
+        limit: this._formatNumber(powerLimit),
+      }));
+    }
+    const { min: voltageMin, max: voltageMax } = this._config.voltage_range;
+    if (metering.voltageMin !== null && metering.voltageMin < voltageMin) {
+      powerWarnings.push(this._t('power.warning.low', { voltage: this._formatNumber(Math.round(metering.voltageMin)), limit: this._formatNumber(voltageMin) }));
+    }
+    if (metering.voltageMax !== null && metering.voltageMax > voltageMax) {
+      powerWarnings.push(this._t('power.warning.high', { voltage: this._formatNumber(Math.round(metering.voltageMax)), limit: this._formatNumber(voltageMax) }));
+    }
+
+    // Firmware update - update entity ending with _firmware_update
+    let fwUpdateEntity = null;
+    let fwUpToDate = null;
+    let fwUpdateAvailable = false;
+    let fwInstalledVersion = '';
+    let fwLatestVersion = '';
+    let fwInProgress = false;
+    let fwReleaseNotes = false;
+    // The stable entity is "..._firmware_update", the beta one "..._beta_firmware_update"
+    const updateEnt = ents.find((e) => this._getDomain(e.entity_id) === 'update' && /_firmware_update$/i.test(e.entity_id) && !/_beta_firmware_update$/i.test(e.entity_id));
+    if (updateEnt) {
+      fwUpdateEntity = updateEnt.entity_id;
+      const st = stateFor(updateEnt.entity_id);
+      if (st) {
+        fwUpdateAvailable = st.state === 'on';
+        fwUpToDate = st.state === 'off';
+        fwInstalledVersion = st.attributes?.installed_version || '';
+        fwLatestVersion = st.attributes?.latest_version || '';
+        fwInProgress = this._updateProgress(st);
+        fwReleaseNotes = this._supportsReleaseNotes(st);
+      }
+    }
+
+    // Beta firmware - update entity ending with _beta_firmware_update
+    let betaUpdateEntity = null;
+    let betaUpdateAvailable = false;
+    let betaLatestVersion = '';
+    let betaInProgress = false;
+    let betaReleaseNotes = false;
+    const betaEnt = ents.find((e) => this._getDomain(e.entity_id) === 'update' && /_beta_firmware_update$/i.test(e.entity_id));
+    if (betaEnt) {
+      betaUpdateEntity = betaEnt.entity_id;
+      const st = stateFor(betaEnt.entity_id);
+      if (st && st.state !== 'unavailable') {
+        betaUpdateAvailable = st.state === 'on';
+        betaLatestVersion = st.attributes?.latest_version || '';
+        betaInProgress = this._updateProgress(st);
+        betaReleaseNotes = this._supportsReleaseNotes(st);
+      }
+    }
+
+    // Security-related toggles, only where the integration exposes them as switch/binary_sensor
+    const bluetooth = this._findToggleState(ents, /_(bluetooth|ble)$/i, stateFor);
+    const ap = this._findToggleState(ents, /_(wifi_)?(ap|access_point)$/i, stateFor);
+    const auth = this._findToggleState(ents, /_auth(entication)?(_enabled)?$/i, stateFor);
+
+    // Switches used by bulk actions to change cloud and Bluetooth settings
+    const cloudSwitchEnt = ents.find((e) => this._getDomain(e.entity_id) === 'switch' && /_cloud$/i.test(e.entity_id));
+    const bluetoothSwitchEnt = ents.find((e) => this._getDomain(e.entity_id) === 'switch' && /_(bluetooth|ble)$/i.test(e.entity_id));
+
+    // User-defined columns - first entity of the chosen domain matching the column's pattern
+    const custom = {};
+    for (const col of this._customColumns || []) {
+      const re = this._compilePattern(col.pattern);
+      const ent = re && ents.find((e) => this._getDomain(e.entity_id) === col.domain && re.test(e.entity_id));
+      const st = ent ? stateFor(ent.entity_id) : null;
+      custom[col.id] = {
+        entity_id: ent ? ent.entity_id : null,
+        value: st && st.state !== 'unknown' && st.state !== 'unavailable' ? st.state : null,
+        unit: st?.attributes?.unit_of_measurement || '',
+      };
+    }
+
+    // Reboot button - button ending with _reboot
+    let rebootEntity = null;
+    const rebootEnt = ents.find((e) => this._getDomain(e.entity_id) === 'button' && /_reboot$/i.test(e.entity_id));
+    if (rebootEnt) {
+      rebootEntity = rebootEnt.entity_id;
+    }
+
+    // Availability - a device is offline when every entity with a state is unavailable.
+    // Last seen is the latest update while online, or the moment it went unavailable.
+    let availability = 'unknown';
+    let lastSeen = null;
+    const states = ents.map((e) => stateFor(e.entity_id)).filter(Boolean);
+    const latest = (sts, field) => sts.reduce((max, st) => Math.max(max, Date.parse(st[field]) || 0), 0) || null;
+    if (d.disabled_by) {
+      availability = 'disabled';
+    } else if (states.length > 0) {
+      const reporting = states.filter((st) => st.state !== 'unavailable');
+      availability = reporting.length > 0 ? 'online' : 'offline';
+      lastSeen = reporting.length > 0 ? latest(reporting, 'last_updated') : latest(states, 'last_changed');
+    }
+    const unavailable = availability === 'offline';
+
+    // Area and floor from the area registry
+    const area = d.area_id ? this._areasById?.get(d.area_id) : null;
+    const floor = area?.floor_id ? this._floorsById?.get(area.floor_id) : null;
+
+    return {
+      device_id: d.id,
+      entity_id: primaryEnt ? primaryEnt.entity_id : '',
+      name: d.name || d.model || d.id,
+      model: d.model || '',
+      area_id: d.area_id || null,
+      area: area ? area.name : '',
+      floor: floor ? floor.name : '',
+      sw_version: d.sw_version || '',
+      ip,
+      mac,
+      cloud: cloudState,
+      temperature,
+      temperatureEntity,
+      temperatureUnit,
+      rssi,
+      rssiEntity,
+      uptime,
+      bootTime,
+      power: metering.power,
+      energy: metering.energy,
+      voltage: metering.voltage,
+      current: metering.current,
+      powerLimit,
+      powerWarnings,
+      fwUpdateEntity,
+      fwUpToDate,
+      fwUpdateAvailable,
+      fwInstalledVersion,
+      fwLatestVersion,
+      fwInProgress,
+      fwReleaseNotes,
+      betaUpdateEntity,
+      betaUpdateAvailable,
+      betaLatestVersion,
+      betaInProgress,
+      betaReleaseNotes,
+      rebootEntity,
+      cloudSwitchEntity: cloudSwitchEnt ? cloudSwitchEnt.entity_id : null,
+      bluetoothSwitchEntity: bluetoothSwitchEnt ? bluetoothSwitchEnt.entity_id : null,
+      bluetooth,
+      ap,
+      auth,
+      availability,
+      disabledBy: d.disabled_by || null,
+      lastSeen,
+      unavailable,
+      custom,
+      configuration_url: d.configuration_url || (ip ? `http://${ip}/` : ''),
+    };
+  }
+
+  // Boot time in ms from an uptime sensor: a timestamp, or a duration in its unit (seconds by default)
+  _parseBootTime(st) {
+    const value = toNumber(st.state);
+    if (value === null) return Date.parse(st.state) || null;
+    const seconds = value * (UPTIME_UNITS[st.attributes?.unit_of_measurement] ?? 1);
+    return (Date.parse(st.last_updated) || Date.now()) - seconds * 1000;
+  }
+
+  // Power, energy, voltage and current of a device from sensors with that device_class.
+  // Power, energy and current are summed over the channels; devices that also report a
+  // total (Pro 3EM) only have their totals summed, so phases aren't counted twice.
+  _getMetering(ents, stateFor) {
+    const readings = { power: [], energy: [], voltage: [], current: [] };
+    for (const ent of ents) {
+      if (this._getDomain(ent.entity_id) !== 'sensor' || ent.disabled_by) continue;
+      const st = stateFor(ent.entity_id);
+      const kind = st?.attributes?.device_class;
+      const value = toNumber(st?.state);
+      if (!readings[kind] || value === null) continue;
+      // Energy returned to the grid is not consumption
+      if (kind === 'energy' && /returned/i.test(ent.entity_id)) continue;
+      const factor = METERING_UNITS[kind][st.attributes.unit_of_measurement] ?? 1;
+      const total = METERING_TOTAL_RE.test(ent.unique_id || '');
+      readings[kind].push({ value: value * factor, total });
+    }
+
+    const sum = (list) => {
+      if (list.length === 0) return null;
+      const totals = list.filter((x) => x.total);
+      return (totals.length ? totals : list).reduce((s, x) => s + x.value, 0);
+    };
+    const voltages = readings.voltage.map((x) => x.value);
+    return {
+      power: sum(readings.power),
+      energy: sum(readings.energy),
+      current: sum(readings.current),
+      voltage: voltages.length ? voltages.reduce((s, v) => s + v, 0) / voltages.length : null,
+      voltageMin: voltages.length ? Math.min(...voltages) : null,
+      voltageMax: voltages.length ? Math.max(...voltages) : null,
+    };
+  }
+
+  // false when idle, true or a percentage while installing. Newer Home Assistant versions
+  // report the percentage in update_percentage and keep in_progress a boolean.
+  _updateProgress(st) {
+    const { in_progress: inProgress, update_percentage: percentage } = st.attributes || {};
+    if (typeof percentage === 'number') return percentage;
+    if (typeof inProgress === 'number') return inProgress;
+    return inProgress === true;
+  }
+
+  // UpdateEntityFeature.RELEASE_NOTES
+  _supportsReleaseNotes(st) {
+    return Boolean((st.attributes?.supported_features || 0) & 16);
+  }
+
+  // On/off state of the first switch or binary_sensor matching pattern, null when not exposed
+  _findToggleState(ents, pattern, stateFor) {
+    const ent = ents.find((e) => ['switch', 'binary_sensor'].includes(this._getDomain(e.entity_id)) && pattern.test(e.entity_id));
+    if (!ent) return null;
+    const st = stateFor(ent.entity_id);
+    if (!st || st.state === 'unknown' || st.state === 'unavailable') return null;
+    return st.state === 'on';
+  }
+
+  // Select the best PRIMARY entity (no CONFIG or DIAGNOSTIC entities)
+  _selectPrimaryEntity(entities, stateFor) {
+    const primaryEntities = entities.filter(e => !e.entity_category);
+    
+    if (primaryEntities.length === 0) {
+      return entities[0];
+    }
+
+    const priorityDomains = ['light', 'switch', 'cover', 'sensor', 'binary_sensor'];
+    
+    for (const domain of priorityDomains) {
+      const withState = primaryEntities.filter((e) => this._getDomain(e.entity_id) === domain && stateFor(e.entity_id));
+      if (withState.length > 0) {
+        const primary = withState.find((e) => !/_\d+$/.test(e.entity_id) && !/channel_\d+/.test(e.entity_id));
+        return primary || withState[0];
+      }
+      
+      const anyOfDomain = primaryEntities.find((e) => this._getDomain(e.entity_id) === domain);
+      if (anyOfDomain) return anyOfDomain;
+    }
+
+    const withState = primaryEntities.find((e) => stateFor(e.entity_id));
+    if (withState) return withState;
+
+    return primaryEntities[0];
+  }
+
+  // Enhanced IP address extraction
+  _extractIP(device, entities, stateFor) {
+    // Method 1: configuration_url
+    if (device.configuration_url) {
+      try {
+        const url = new URL(device.configuration_url);
+        if (url.hostname && url.hostname !== 'localhost' && url.hostname !== '0.0.0.0') {
+          return url.hostname;
+        }
+      } catch {
+        const cleaned = device.configuration_url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+        const hostname = cleaned.split('/')[0].split(':')[0];
+        if (hostname && hostname !== 'localhost' && hostname !== '0.0.0.0') {
+          return hostname;
+        }
+      }
+    }
+
+    // Method 2: Look for wifi_ip or ip_address entity
+    const ipPatterns = [/wifi_?ip$/i, /ip_?address$/i, /_ip$/i, /^ip$/i];
+
+    for (const pattern of ipPatterns) {
+      const ipEnt = entities.find((e) => pattern.test(e.entity_id) && this._getDomain(e.entity_id) === 'sensor');
+      if (ipEnt) {
+        const st = stateFor(ipEnt.entity_id);
+        if (st?.state && st.state !== 'unknown' && st.state !== 'unavailable') {
+          if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(st.state)) {
+            return st.state;
+          }
+        }
+      }
+    }
+
+    // Method 3: Look through all sensor entities for IP pattern
+    const sensors = entities.filter((e) => this._getDomain(e.entity_id) === 'sensor');
+    for (const sensor of sensors) {
+      const st = stateFor(sensor.entity_id);
+      if (st?.state && /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(st.state)) {
+        return st.state;
+      }
+    }
+
+    return '';
+  }
+
+  connectedCallback() { 
+    this._compactQuery?.addEventListener?.('change', this._onCompactChange);
+    this._render(); 
+    this._subscribeEvents();
+    if (this._rollout?.status === 'running') this._startRolloutTimer();
+  }
+
+  disconnectedCallback() {
+    this._compactQuery?.removeEventListener?.('change', this._onCompactChange);
+    this._unsubscribeEvents();
+    this._stopRolloutTimer();
+    cancelAnimationFrame(this._scrollFrame);
+    this._scrollFrame = null;
+    clearTimeout(this._renderTimer);
+    clearTimeout(this._reloadTimer);
+    this._renderTimer = null;
+    this._reloadTimer = null;
+    // Write a pending log batch now instead of after the panel is gone
+    if (this._actionLogTimer) {
+      clearTimeout(this._actionLogTimer);
+      this._actionLogTimer = null;
+      this._flushActionLog();
+    }
+    this._toasts.forEach((t) => clearTimeout(t.timer));
+    this._toasts = [];
+  }
+
+  async _handleFirmwareUpdate(entityId) {
+    if (!this._hass || !entityId || !this._actionsEnabled()) return;
+    
+    try {
+      // The update entity's state change refreshes the row, no reload needed
+      const entry = await this._runAction({ action: 'Update firmware', target: entityId }, () => this._hass.callService('update', 'install', {
+        entity_id: entityId
+      }));
+      this._showToast(this._t('toast.update_started', { device: entry.device || entityId }), entry.id);
+    } catch (err) {
+      console.error('Error updating firmware:', err);
+      this._showToast(this._t('toast.update_failed', { error: err.message }), err.logEntryId, 'error');
+    }
+  }
+
+  async _handleReboot(entityId) {
+    if (!this._hass || !entityId || !this._actionsEnabled()) return;
+    
+    try {
+      const entry = await this._runAction({ action: 'Reboot', target: entityId }, () => this._hass.callService('button', 'press', {
+        entity_id: entityId
+      }));
+      this._showToast(this._t('toast.reboot_sent', { device: entry.device || entityId }), entry.id);
+    } catch (err) {
+      console.error('Error rebooting device:', err);
+      this._showToast(this._t('toast.reboot_failed', { error: err.message }), err.logEntryId, 'error');
+    }
+  }
+
+  async _handleButtonPress(entityId, label) {
+    if (!this._hass || !entityId || !this._actionsEnabled()) return;
+
+    try {
+      const entry = await this._runAction({ action: `Press ${label || entityId}`, target: entityId }, () => this._hass.callService('button', 'press', {
+        entity_id: entityId
+      }));
+      this._showToast(this._t('toast.pressed', { label: label || entityId }), entry.id);
+    } catch (err) {
+      console.error('Error pressing button:', err);
+      this._showToast(this._t('toast.press_failed', { error: err.message }), err.logEntryId, 'error');
+    }
+  }
+
+  // Run an action against Home Assistant and record it in the action log. Resolves with the
+  // log entry; on failure the error is rethrown with the entry's id as `logEntryId`.
+  async _runAction({ action, target = '', deviceId = null, details = '' }, call) {
+    const meta = { action, target, deviceId: deviceId || this._trackedEntities?.get(target) || null, details };
+    try {
+      await call();
+    } catch (err) {
+      const entry = this._logAction({ ...meta, result: 'failed', error: String(err?.message || err) });
+      if (err && typeof err === 'object') err.logEntryId = entry.id;
+      throw err;
+    }
+    return this._logAction({ ...meta, result: 'succeeded' });
+  }
+
+  _logAction({ action, target, deviceId, details, result, error = null }) {
+    const device = deviceId ? this._devicesById?.get(deviceId) : null;
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      ts: new Date().toISOString(),
+      user: this._hass?.user?.name || null,
+      device_id: deviceId,
+      device: device ? device.name_by_user || device.name || deviceId : null,
+      action,
+      target: target || null,
+      details: details || null,
+      result,
+      error,
+    };
+    this._actionLog = [entry, ...this._actionLog].slice(0, ACTION_LOG_MAX);
+    this._saveActionLog();
+    return entry;
+  }
+
+  async _loadActionLog() {
+    this._actionLogLoaded = true;
+    this._actionLog = this._mergeActionLog(this._storageGet(this._actionLogStorageKey()) || [], this._actionLog);
+    const stored = await this._userDataGet('actionLog');
+    if (!Array.isArray(stored)) return;
+    this._actionLog = this._mergeActionLog(stored, this._actionLog);
+    this._storageSet(this._actionLogStorageKey(), this._actionLog);
+    this._scheduleRender();
+  }
+
+  // The localStorage copy is per Home Assistant user, so users sharing a browser don't merge
+  // each other's entries into their own log
+  _actionLogStorageKey() {
+    return `actionLog.${this._hass?.user?.id || 'unknown'}`;
+  }
+
+  // Newest first, without duplicates, capped at ACTION_LOG_MAX
+  _mergeActionLog(...logs) {
+    const byId = new Map(logs.flat().map((e) => [e.id, e]));
+    return [...byId.values()].sort((a, b) => b.ts.localeCompare(a.ts)).slice(0, ACTION_LOG_MAX);
+  }
+
+  // Bulk jobs log many entries at once, so writes are batched
+  _saveActionLog() {
+    clearTimeout(this._actionLogTimer);
+    this._actionLogTimer = setTimeout(() => {
+      this._actionLogTimer = null;
+      this._flushActionLog();
+    }, ACTION_LOG_SAVE_DEBOUNCE_MS);
+  }
+
+  async _flushActionLog() {
+    // Merge with what is stored, another browser of the same user may have logged actions too
+    const stored = await this._userDataGet('actionLog');
+    this._actionLog = this._mergeActionLog(Array.isArray(stored) ? stored : [], this._actionLog);
+    this._storageSet(this._actionLogStorageKey(), this._actionLog);
+    await this._userDataSet('actionLog', this._actionLog);
+  }
+
+  _getLogEntries() {
+    const search = this._logFilter.search.trim().toLowerCase();
+    return this._actionLog.filter((e) => {
+      if (this._logFilter.result && e.result !== this._logFilter.result) return false;
+      if (!search) return true;
+      return [e.user, e.device, e.action, e.target, e.details, e.error].some((v) => v && String(v).toLowerCase().includes(search));
+    });
+  }
+
+  _renderLogView() {
+    const entries = this._getLogEntries();
+    const failed = this._actionLog.filter((e) => e.result === 'failed').length;
+
+    return `
+      <div class="log-toolbar">
+        <input id="log-search" type="search" placeholder="${this._escape(this._t('log.search'))}" value="${this._escape(this._logFilter.search)}" aria-label="${this._escape(this._t('log.search_label'))}">
+        <select id="log-result" aria-label="${this._escape(this._t('log.result_label'))}">
+          <option value="">${this._escape(this._t('log.all_results'))}</option>
+          <option value="succeeded" ${this._logFilter.result === 'succeeded' ? 'selected' : ''}>${this._escape(this._t('log.succeeded'))}</option>
+          <option value="failed" ${this._logFilter.result === 'failed' ? 'selected' : ''}>${this._escape(this._t('log.failed', { count: this._formatNumber(failed) }))}</option>
+        </select>
+        <span class="export-buttons">
+          <button class="linklike export-log" data-format="csv" title="${this._escape(this._t('log.export_csv_title'))}">${this._escape(this._t('common.export_csv'))}</button>
+          <button class="linklike export-log" data-format="json" title="${this._escape(this._t('log.export_json_title'))}">${this._escape(this._t('common.export_json'))}</button>
+        </span>
+      </div>
+      ${entries.length === 0 ? `
+        <p class="muted" style="text-align: center; padding: 24px;">${this._escape(this._t(this._actionLog.length ? 'log.no_match' : 'log.empty'))}</p>
+      ` : `
+        <div style="overflow-x: auto;">
+          <table aria-label="${this._escape(this._t('log.table'))}">
+            <thead>
+              <tr>${['time', 'user', 'device', 'action', 'result'].map((key) => `<th>${this._escape(this._t(`log.col.${key}`))}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+              ${entries.map((e) => `
+                <tr class="${e.id === this._logHighlight ? 'log-highlight' : ''} ${e.result === 'failed' ? 'log-failed' : ''}" data-log-entry="${this._escape(e.id)}">
+                  <td title="${this._escape(e.ts)}">${this._escape(this._formatDateTime(e.ts))}</td>
+                  <td>${e.user ? this._escape(e.user) : '<span class="muted">—</span>'}</td>
+                  <td>${e.device_id && this._devicesById?.has(e.device_id)
+                    ? `<button class="linklike open-drawer" data-device="${this._escape(e.device_id)}">${this._escape(e.device || e.device_id)}</button>`
+                    : e.device ? this._escape(e.device) : '<span class="muted">—</span>'}</td>
+                  <td>
+                    ${this._escape(e.action)}
+                    ${e.target || e.details ? `<div class="muted">${this._escape([e.target, e.details].filter(Boolean).join(' · '))}</div>` : ''}
+                  </td>
+                  <td>${e.result === 'failed' ? `<span class="form-error">✗ ${this._escape(e.error || this._t('log.failed_result'))}</span>` : '✓'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+    `;
+  }
+
+  _exportLog(format) {
+    const entries = this._getLogEntries();
+    const date = new Date().toISOString().slice(0, 10);
+    const fields = ['ts', 'user', 'device_id', 'device', 'action', 'target', 'details', 'result', 'error'];
+    if (format === 'csv') {
+      const lines = [fields.join(','), ...entries.map((e) => fields.map((f) => this._csvValue(e[f])).join(','))];
+      this._download(`shelly-action-log-${date}.csv`, `\uFEFF${lines.join('\r\n')}\r\n`, 'text/csv;charset=utf-8');
+    } else {
+      const data = {
+        schema: 'shelly-dashboard-panel/action-log',
+        version: ACTION_LOG_SCHEMA_VERSION,
+        exported_at: new Date().toISOString(),
+        filters: { ...this._logFilter },
+        entries: entries.map((e) => Object.fromEntries(fields.map((f) => [f, e[f] ?? null]))),
+      };
+      this._download(`shelly-action-log-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+  }
+
+  // Non-blocking notification; `logId` adds a link to the matching log entry
+  _showToast(message, logId = null, level = 'info') {
+    const toast = { id: `${Date.now()}-${Math.random()}`, message, logId, level };
+    toast.timer = setTimeout(() => this._dismissToast(toast.id), TOAST_TIMEOUT_MS[level]);
+    this._toasts = [...this._toasts, toast];
+    this._render();
+  }
+
+  _dismissToast(id) {
+    const toast = this._toasts.find((t) => t.id === id);
+    if (!toast) return;
+    clearTimeout(toast.timer);
+    this._toasts = this._toasts.filter((t) => t.id !== id);
+    this._render();
+  }
+
+  _renderToasts() {
+    if (this._toasts.length === 0) return '';
+    return `
+      <div class="toasts" role="status" aria-live="polite">
+        ${this._toasts.map((t) => `
+          <div class="toast toast-${t.level}">
+            <span>${this._escape(t.message)}</span>
+            ${t.logId ? `<button class="linklike toast-log" data-log="${this._escape(t.logId)}">${this._escape(this._t('toast.view_in_log'))}</button>` : ''}
+            <button class="linklike toast-dismiss" data-toast="${this._escape(t.id)}" aria-label="${this._escape(this._t('common.dismiss'))}">✕</button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  _navigateToDevice(deviceId) {
+    if (!deviceId) return;
+    
+    window.history.pushState(null, '', `/config/devices/device/${deviceId}`);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  }
+
+  _render() {
+    const style = `
+      :host { display: block; padding: 16px; box-sizing: border-box; }
+      h1 { font-size: 22px; margin: 8px 0 16px; font-weight: 500; }
+      .card { background: var(--card-background-color, #fff); border-radius: 12px; padding: 16px; box-shadow: var(--ha-card-box-shadow, 0 2px 4px rgba(0,0,0,0.1)); }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { text-align: left; padding: 12px 10px; border-bottom: 1px solid var(--divider-color, #e0e0e0); }
+      th { font-weight: 600; font-size: 13px; color: var(--secondary-text-color, #666); text-transform: uppercase; letter-spacing: 0.5px; }
+      th.sortable { cursor: pointer; user-select: none; transition: color 0.2s; }
+      th.sortable:hover { color: var(--primary-color); }
+      th.sortable .sort-indicator { opacity: 0.6; margin-left: 6px; font-size: 11px; }
+      tbody tr { transition: background-color 0.15s; }
+      .table-scroll { overflow-x: auto; }
+      .table-scroll.virtual { max-height: 70vh; overflow-y: auto; }
+      .table-scroll.virtual thead th { position: sticky; top: 0; z-index: 1; background: var(--card-background-color, #fff); }
+      tr.virtual-spacer td { padding: 0; border: none; }
+      .device-cards { display: flex; flex-direction: column; gap: 8px; }
+      .device-card { border: 1px solid var(--divider-color, #e0e0e0); border-radius: 8px; padding: 10px 12px; }
+      .device-card.selected { background-color: var(--table-row-background-hover-color, rgba(0,0,0,0.05)); }
+      .device-card.offline { opacity: 0.85; }
+      .device-card-header { display: flex; align-items: flex-start; gap: 8px; }
+      .device-card-title { flex: 1; min-width: 0; }
+      .device-card-fields { display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 6px 12px; margin: 8px 0 4px; font-size: 13px; }
+      .device-card-fields dt { font-size: 11px; color: var(--secondary-text-color, #666); text-transform: uppercase; letter-spacing: 0.5px; }
+      .device-card-fields dd { margin: 0; }
+      .device-card-details { padding-top: 8px; border-top: 1px solid var(--divider-color, #e0e0e0); }
+      .group-header.card-group { display: flex; align-items: center; gap: 8px; width: 100%; padding: 8px 10px; border: none; border-radius: 8px; font: inherit; font-weight: 600; text-align: left; color: var(--primary-text-color); background: var(--secondary-background-color, rgba(0,0,0,0.04)); cursor: pointer; }
+      tbody tr:hover { background-color: var(--table-row-background-hover-color, rgba(0,0,0,0.03)); }
+      .muted { color: var(--secondary-text-color, #666); }
+      .chip { display: inline-flex; align-items: center; justify-content: center; min-width: 28px; height: 28px; padding: 0 10px; border-radius: 14px; font-size: 14px; font-weight: 600; transition: transform 0.1s; }
+      .chip:hover { transform: scale(1.05); }
+      .ok { background: #4caf50; color: white; }
+      .update-available { background: #ff9800; color: white; }
+      .off { background: #f44336; color: white; }
+      .unknown { background: #9e9e9e; color: white; opacity: 0.6; }
+      .loading { opacity: 0.7; }
+      a { color: var(--primary-color); text-decoration: none; font-weight: 500; }
+      a:hover { text-decoration: underline; }
+      .mac-link { font-family: monospace; font-size: 12px; cursor: pointer; }
+      .toolbar { display: flex; align-items: center; justify-content: space-between; margin-bottom: 16px; gap: 16px; flex-wrap: wrap; }
+      input[type="search"], select { font: inherit; font-size: 14px; padding: 8px 12px; border-radius: 8px; border: 1px solid var(--divider-color, #e0e0e0); background: var(--card-background-color, #fff); color: var(--primary-text-color); }
+      input[type="search"] { min-width: 260px; }
+      .filters { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-bottom: 16px; }
+      .filter-chip { font: inherit; font-size: 13px; padding: 6px 12px; border-radius: 16px; border: 1px solid var(--divider-color, #e0e0e0); background: none; color: var(--primary-text-color); cursor: pointer; transition: background-color 0.15s, color 0.15s; }
+      .filter-chip:hover { border-color: var(--primary-color); }
+      .tabs { display: flex; gap: 4px; margin-bottom: 16px; border-bottom: 1px solid var(--divider-color, #e0e0e0); }
+      .tab { font: inherit; font-size: 14px; font-weight: 500; padding: 8px 16px; background: none; border: none; border-bottom: 2px solid transparent; color: var(--secondary-text-color, #666); cursor: pointer; }
+      .tab:hover { color: var(--primary-text-color); }
+      .tab.active { color: var(--primary-color); border-bottom-color: var(--primary-color); }
+      .conflict { margin-bottom: 24px; }
+      .conflict h3 { font-size: 16px; font-weight: 500; margin: 8px 0; }
+      .conflict-cause { font-size: 14px; margin: 8px 0 0; }
+      .device-link { color: var(--primary-color); cursor: pointer; }
+      .security-summary { display: flex; gap: 24px; flex-wrap: wrap; margin-bottom: 16px; font-size: 14px; }
+      .summary-item strong { font-size: 20px; margin-right: 4px; }
+      .sec-fail-text { color: #f44336; }
+      .section-title { font-size: 16px; font-weight: 500; margin: 20px 0 8px; display: flex; gap: 16px; align-items: baseline; }
+      .subnet-hosts .chip { margin: 2px 4px 2px 0; display: inline-block; }
+      .rssi-distribution { max-width: 520px; font-size: 14px; margin-bottom: 12px; }
+      .rssi-bucket { display: grid; grid-template-columns: 160px 1fr 40px; align-items: center; gap: 12px; padding: 2px 0; }
+      .type-to-confirm { display: flex; flex-direction: column; gap: 6px; margin: 12px 0; font-size: 14px; }
+      .type-to-confirm input { padding: 6px 8px; font-size: 14px; }
+      .protected { cursor: help; font-size: 12px; }
+      .read-only-notice { margin: 0 0 12px; font-size: 13px; }
+      .log-toolbar { display: flex; gap: 12px; align-items: center; flex-wrap: wrap; margin-bottom: 12px; }
+      .log-toolbar input { flex: 1; min-width: 200px; }
+      tr.log-highlight td { background: rgba(3,169,244,0.12); }
+      .toasts { position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); display: flex; flex-direction: column; gap: 8px; z-index: 11; max-width: calc(100% - 32px); }
+      .toast { display: flex; align-items: center; gap: 12px; padding: 10px 16px; border-radius: 8px; font-size: 14px; color: #fff; background: #323232; box-shadow: 0 4px 12px rgba(0,0,0,0.3); }
+      .toast .linklike { color: var(--primary-color, #03a9f4); }
+      .toast-error { background: #b71c1c; }
+      .toast-error .linklike { color: #fff; text-decoration: underline; }
+      .power-overview { margin-bottom: 16px; padding-bottom: 8px; border-bottom: 1px solid var(--divider-color, #e0e0e0); }
+      .power-overview .security-summary { margin-bottom: 8px; }
+      .top-consumers { margin: 0; padding-left: 20px; font-size: 14px; max-width: 520px; }
+      .top-consumers li { display: grid; grid-template-columns: minmax(120px, 1fr) 2fr 80px; align-items: center; gap: 12px; padding: 2px 0; }
+      .consumer-bar { height: 6px; border-radius: 3px; background: var(--divider-color, #e0e0e0); overflow: hidden; }
+      .consumer-bar span { display: block; height: 100%; background: var(--primary-color); }
+      .sec-pass { background: #4caf50; color: white; }
+      .sec-warn { background: #ff9800; color: white; }
+      .sec-fail { background: #f44336; color: white; }
+      .sec-unknown { background: #9e9e9e; color: white; }
+      .score { display: inline-block; padding: 2px 10px; border-radius: 10px; font-size: 12px; font-weight: 600; text-transform: uppercase; }
+      .select-cell { width: 32px; text-align: center; }
+      tbody tr.selected { background-color: var(--table-row-background-hover-color, rgba(0,0,0,0.05)); }
+      .bulk-bar { display: flex; align-items: center; gap: 16px; flex-wrap: wrap; padding: 10px 12px; margin-bottom: 12px; border-radius: 8px; background: var(--secondary-background-color, rgba(0,0,0,0.04)); font-size: 14px; }
+      .bulk-controls { display: inline-flex; align-items: center; gap: 8px; margin-left: auto; }
+      #bulk-concurrency { width: 56px; font: inherit; padding: 6px; border-radius: 6px; border: 1px solid var(--divider-color, #e0e0e0); background: var(--card-background-color, #fff); color: var(--primary-text-color); }
+      .bulk-run, .dialog-confirm, .primary-button { background: var(--primary-color); padding: 8px 16px; }
+      .bulk-progress { margin-bottom: 16px; padding: 10px 12px; border: 1px solid var(--divider-color, #e0e0e0); border-radius: 8px; font-size: 13px; }
+      .bulk-progress-header { display: flex; gap: 12px; align-items: center; flex-wrap: wrap; margin-bottom: 8px; }
+      .bulk-items { list-style: none; margin: 0; padding: 0; max-height: 200px; overflow-y: auto; }
+      .bulk-item { display: flex; gap: 8px; padding: 2px 0; }
+      .bulk-status { width: 18px; text-align: center; }
+      .status-succeeded .bulk-status { color: #4caf50; }
+      .status-failed .bulk-status { color: #f44336; }
+      #rollout-waves { width: 80px; }
+      #rollout-waves, #rollout-timeout { font: inherit; padding: 6px; border-radius: 6px; border: 1px solid var(--divider-color, #e0e0e0); background: var(--card-background-color, #fff); color: var(--primary-text-color); }
+      #rollout-timeout { width: 56px; }
+      .rollout-status { background: var(--primary-color); color: var(--text-primary-color, #fff); }
+      .rollout-halted .rollout-status { background: #f44336; }
+      .rollout-completed .rollout-status { background: #4caf50; }
+      .rollout-cancelled .rollout-status { background: #9e9e9e; }
+      .rollout-halt { color: #f44336; margin: 0 0 8px; }
+      .rollout-wave { margin-bottom: 8px; padding-left: 8px; border-left: 2px solid transparent; }
+      .rollout-wave.current { border-left-color: var(--primary-color); }
+      .dialog-backdrop { position: fixed; inset: 0; background: rgba(0,0,0,0.4); display: flex; align-items: center; justify-content: center; z-index: 10; }
+      .dialog { background: var(--card-background-color, #fff); color: var(--primary-text-color); border-radius: 12px; padding: 20px 24px; max-width: 480px; width: calc(100% - 32px); max-height: 80vh; overflow-y: auto; box-shadow: 0 8px 24px rgba(0,0,0,0.3); }
+      .dialog h2 { font-size: 18px; font-weight: 500; margin: 0 0 12px; }
+      .dialog-items { margin: 0 0 12px; padding-left: 20px; max-height: 240px; overflow-y: auto; }
+      .dialog-actions { display: flex; justify-content: flex-end; align-items: center; gap: 16px; }
+      .column-list { list-style: none; margin: 0 0 16px; padding: 0; }
+      .column-list li { display: flex; align-items: center; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid var(--divider-color, #e0e0e0); }
+      .column-buttons { display: inline-flex; gap: 10px; }
+      .column-buttons button:disabled { opacity: 0.3; cursor: default; }
+      .dialog h3 { font-size: 15px; font-weight: 500; margin: 0 0 4px; }
+      .column-form { display: flex; gap: 8px; flex-wrap: wrap; margin: 8px 0; }
+      .column-form input[type="text"] { flex: 1; min-width: 120px; font: inherit; font-size: 14px; padding: 6px 10px; border-radius: 6px; border: 1px solid var(--divider-color, #e0e0e0); background: var(--card-background-color, #fff); color: var(--primary-text-color); }
+      .form-error { color: var(--error-color, #f44336); margin: 0 0 8px; }
+      .config-error { color: var(--error-color, #f44336); padding: 12px; background: rgba(244,67,54,0.1); border-radius: 8px; margin-bottom: 16px; font-size: 14px; }
+      .config-error ul { margin: 6px 0 0; padding-left: 20px; }
+      .temp-warning { color: #f44336; font-weight: 600; }
+      .version { font-family: monospace; font-size: 12px; }
+      .version-new { color: #ff9800; font-weight: 600; }
+      .beta-line { display: flex; align-items: center; gap: 4px; margin-top: 4px; }
+      .beta-tag { display: inline-block; padding: 0 5px; border-radius: 6px; font-size: 11px; font-weight: 700; background: #9c27b0; color: white; }
+      .beta-button { background: #9c27b0; margin-left: 4px; padding: 2px 8px; }
+      .updating { font-size: 12px; font-weight: 600; color: var(--primary-color); white-space: nowrap; }
+      .release-notes { font-size: 13px; margin-left: 2px; }
+      .release-notes-dialog { max-width: 640px; }
+      .release-notes-body.plain { white-space: pre-wrap; font-size: 13px; }
+      .status-badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; color: white; }
+      .status-online { background: #4caf50; }
+      .status-offline { background: #f44336; }
+      .status-disabled { background: #607d8b; }
+      .status-unknown { background: #9e9e9e; }
+      .last-seen { font-size: 11px; margin-top: 2px; white-space: nowrap; }
+      tbody tr.offline td { opacity: 0.75; }
+      .offline-banner { display: flex; align-items: center; gap: 16px; flex-wrap: wrap; padding: 10px 12px; margin-bottom: 16px; border-radius: 8px; background: rgba(244,67,54,0.1); font-size: 14px; }
+      .offline-banner.info { background: var(--secondary-background-color, rgba(0,0,0,0.04)); }
+      .sparkline { display: inline-block; vertical-align: middle; margin-left: 6px; width: 60px; height: 18px; color: var(--primary-color); }
+      .sparkline svg { display: block; }
+      .sparkline-loading { border-bottom: 1px dashed var(--divider-color, #e0e0e0); height: 9px; }
+      .signal-drop { cursor: help; }
+      .chart-dialog { max-width: 640px; }
+      .drawer-backdrop { position: fixed; inset: 0; background: rgba(0,0,0,0.3); z-index: 8; }
+      .drawer { position: fixed; top: 0; right: 0; bottom: 0; width: 420px; max-width: 100vw; overflow-y: auto; box-sizing: border-box; padding: 16px 20px; z-index: 9; background: var(--card-background-color, #fff); color: var(--primary-text-color); box-shadow: -4px 0 16px rgba(0,0,0,0.2); }
+      .drawer-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }
+      .drawer h2 { font-size: 20px; font-weight: 500; margin: 0 0 6px; }
+      .drawer h3 { font-size: 15px; font-weight: 500; margin: 20px 0 8px; }
+      .drawer-info { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 14px; margin: 16px 0 8px; }
+      .drawer-info dt { color: var(--secondary-text-color); }
+      .drawer-info dd { margin: 0; word-break: break-word; }
+      .drawer-list { list-style: none; padding: 0; margin: 0; font-size: 14px; }
+      .drawer-list li { display: flex; justify-content: space-between; gap: 12px; padding: 6px 0; border-bottom: 1px solid var(--divider-color, #e0e0e0); }
+      .drawer-list li > span { text-align: right; white-space: nowrap; }
+      .drawer-actions { display: flex; flex-wrap: wrap; gap: 8px; }
+      .chart { color: var(--primary-color); margin: 4px 0; }
+      .chart svg { width: 100%; height: 140px; }
+      .chart-axis { stroke: var(--divider-color, #e0e0e0); stroke-width: 1; }
+      .chart-legend { display: flex; gap: 12px; flex-wrap: wrap; font-size: 12px; margin-bottom: 12px; }
+      .export-buttons { display: inline-flex; gap: 12px; margin-left: auto; font-size: 13px; }
+      .group-by { display: inline-flex; align-items: center; gap: 8px; font-size: 13px; color: var(--secondary-text-color, #666); }
+      tr.group-header { cursor: pointer; background: var(--secondary-background-color, rgba(0,0,0,0.04)); }
+      tr.group-header td { font-weight: 600; }
+      tr.group-header .group-toggle { display: inline-block; width: 16px; }
+      .badge { display: inline-block; margin-left: 8px; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; color: white; }
+      .badge.warn { background: #ff9800; }
+      .badge.error { background: #f44336; }
+      .filter-chip.active { background: var(--primary-color); border-color: var(--primary-color); color: var(--text-primary-color, #fff); }
+      .linklike { background: none; border: none; padding: 0; margin: 0; color: var(--primary-text-color); text-decoration: none; cursor: pointer; font: inherit; font-weight: 500; transition: color 0.2s; }
+      .linklike:hover { color: var(--primary-color); }
+      .status-cell { text-align: center; }
+      .numeric-cell { text-align: right; font-family: monospace; }
+      .footer { margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--divider-color, #e0e0e0); font-size: 12px; }
+      .action-button { color: white; border: none; padding: 4px 12px; border-radius: 6px; cursor: pointer; font-size: 12px; font-weight: 600; transition: opacity 0.2s; text-transform: uppercase; }
+      .action-button:hover { opacity: 0.9; }
+      .action-button:disabled { opacity: 0.5; cursor: not-allowed; }
+      .update-button { background: #ff9800; }
+      .reboot-button { background: #f44336; }
+      @media (max-width: 768px) {
+        :host { padding: 8px; }
+        .card { padding: 12px; }
+        th, td { padding: 8px 6px; font-size: 13px; }
+        .toolbar { flex-direction: column; align-items: stretch; }
+        input[type="search"] { min-width: 0; }
+      }
+    `;
+
+    const loading = this._loading;
+    const error = this._error;
+    const rows = this._data || [];
+    const shown = this._applySort(this._applyFilters(rows));
+    const filters = this._filters;
+    const filtered = this._hasActiveFilters();
+    const models = [...new Set(rows.map((r) => r.model).filter(Boolean))].sort();
+    const view = this._view;
+    const groups = view === 'devices' ? this._groupRows(shown) : null;
+    const badges = Object.fromEntries(VIEWS.map((v) => [v.key, this._getViewBadge(v.key)]));
+
+    this._patchDom(this.shadowRoot, `
+      <style>${style}</style>
+      <div class="card ${loading ? 'loading' : ''}">
+        <div class="toolbar">
+          <h1>${this._escape(this._t('panel.title'))}</h1>
+          <input id="search" type="search" placeholder="${this._escape(this._t('panel.search'))}" value="${this._escape(filters.search)}" aria-label="${this._escape(this._t('panel.search_label'))}">
+        </div>
+
+        <div class="tabs" role="tablist">
+          ${VIEWS.map((v) => `
+            <button class="tab ${v.key === view ? 'active' : ''}" role="tab" data-view="${v.key}" aria-selected="${v.key === view}">${this._escape(this._t(`view.${v.key}`, {}, v.label))}${badges[v.key] ? `<span class="badge warn">${this._formatNumber(badges[v.key])}</span>` : ''}</button>
+          `).join('')}
+        </div>
+
+        <div class="filters">
+          ${FILTER_CHIPS.map((c) => `
+            <button class="filter-chip ${filters.chips.includes(c.key) ? 'active' : ''}" data-chip="${c.key}" aria-pressed="${filters.chips.includes(c.key)}">${this._escape(this._t(`chip.${c.key}`, { threshold: this._config.rssi_thresholds.weak }, c.label(this._config)))}</button>
+          `).join('')}
+          <select id="model-filter" aria-label="${this._escape(this._t('panel.model_label'))}">
+            <option value="">${this._escape(this._t('panel.all_models'))}</option>
+            ${models.map((m) => `<option value="${this._escape(m)}" ${m === filters.model ? 'selected' : ''}>${this._escape(m)}</option>`).join('')}
+          </select>
+          ${filtered ? `<button class="linklike clear-filters">${this._escape(this._t('panel.clear_filters'))}</button>` : ''}
+          <span class="export-buttons" ${view === 'devices' ? '' : 'hidden'}>
+            <button class="linklike open-columns" title="${this._escape(this._t('panel.columns_title'))}">${this._escape(this._t('panel.columns'))}</button>
+            <button class="linklike export" data-format="csv" title="${this._escape(this._t('panel.export_csv_title'))}">${this._escape(this._t('common.export_csv'))}</button>
+            <button class="linklike export" data-format="json" title="${this._escape(this._t('panel.export_json_title'))}">${this._escape(this._t('common.export_json'))}</button>
+          </span>
+          <label class="group-by" ${view === 'devices' ? '' : 'hidden'}>
+            ${this._escape(this._t('panel.history'))}
+            <select id="history-period">
+              ${HISTORY_PERIODS.map((p) => `<option value="${p.key}" ${p.key === this._historyPeriod ? 'selected' : ''}>${this._escape(this._t(`history.${p.key}`, {}, p.label))}</option>`).join('')}
+            </select>
+          </label>
+          <label class="group-by" ${view === 'devices' ? '' : 'hidden'}>
+            ${this._escape(this._t('panel.group_by'))}
+            <select id="group-by">
+              ${GROUP_OPTIONS.map((o) => `<option value="${o.key}" ${o.key === this._groupBy ? 'selected' : ''}>${this._escape(this._t(`group.${o.key || 'none'}`, {}, o.label))}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        
+        ${this._config.actions && this._hass?.user && !this._isAdmin() ? `<p class="muted read-only-notice">🔒 ${this._escape(this._t('panel.read_only'))}</p>` : ''}
+
+        ${error ? `<p style="color: var(--error-color); padding: 12px; background: rgba(244,67,54,0.1); border-radius: 8px; margin-bottom: 16px;">⚠️ ${this._escape(this._t('panel.error', { error }))}</p>` : ''}
+        
+        ${this._renderOfflineBanner(rows)}
+
+        ${this._configErrors.length ? `
+          <div class="config-error" role="alert">
+            <strong>⚠️ ${this._escape(this._t('config.invalid'))}</strong> - ${this._escape(this._t('config.ignored'))}
+            <ul>${this._configErrors.map((e) => `<li>${this._escape(this._t(e.key, e.params))}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
+        
+        ${loading && !rows.length ? `<p class="muted" style="text-align: center; padding: 24px;">⏳ ${this._escape(this._t('panel.loading'))}</p>` : ''}
+        
+        ${!loading && rows.length === 0 ? `<p class="muted" style="text-align: center; padding: 24px;">${this._escape(this._t('panel.no_devices'))}</p>` : ''}
+        
+        ${rows.length > 0 && shown.length === 0 && ['devices', 'security', 'drift', 'network'].includes(view) ? `<p class="muted" style="text-align: center; padding: 24px;">${this._escape(this._t('panel.no_match'))}</p>` : ''}
+        
+        ${shown.length > 0 && view === 'security' ? this._renderSecurityView(shown) : ''}
+
+        ${!loading && view === 'conflicts' ? this._renderConflictsView() : ''}
+
+        ${!loading && view === 'cleanup' ? this._renderCleanupView() : ''}
+
+        ${shown.length > 0 && view === 'drift' ? this._renderDriftView(shown) : ''}
+
+        ${shown.length > 0 && view === 'network' ? this._renderNetworkView(shown) : ''}
+
+        ${view === 'log' ? this._renderLogView() : ''}
+
+        ${view === 'devices' ? this._renderPowerOverview(shown) : ''}
+
+        ${view === 'devices' ? this._renderBulkBar(shown) : ''}
+
+        ${view === 'devices' ? this._renderRollout() : ''}
+
+        ${shown.length > 0 && view === 'devices' ? (this._isCompact() ? this._renderCards(shown, groups) : this._renderTable(shown, groups)) : ''}
+        
+        ${this._renderColumnChooser()}
+
+        ${this._renderReleaseNotes()}
+
+        ${this._renderChartDialog()}
+
+        ${this._renderDrawer()}
+
+        ${this._renderDialog()}
+
+        ${this._renderToasts()}
+
+        <div class="footer muted">
+          <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 8px;">
+            <span>${this._escape(filtered
+              ? this._t('panel.count_filtered', { shown: this._formatNumber(shown.length), count: rows.length, total: this._formatNumber(rows.length) })
+              : this._t('common.devices', { count: shown.length }))}</span>
+            <span style="font-weight: 600; color: var(--primary-text-color);">v0.25.0</span>
+            <span>${this._escape(this._t('panel.source'))}</span>
+          </div>
+        </div>
+      </div>
+    `);
+
+    this._measureRowHeight();
+    this._fillReleaseNotes();
+
+    // Sparklines rendered without data queued their entities; load them in the background
+    this._fetchQueuedHistory();
+  }
+
+  // Patch `target`'s children to match `html` instead of replacing them, so unchanged nodes keep
+  // focus, caret and scroll position. Children with a data-key are matched by key, others by
+  // position; data-patch="skip" leaves a matched node as it is (it is filled after rendering).
+  _patchDom(target, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this._patchChildren(target, template.content);
+  }
+
+  _patchChildren(parent, next) {
+    const keyOf = (node) => (node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null);
+    const keyed = new Map();
+    for (const child of parent.childNodes) {
+      if (keyOf(child)) keyed.set(keyOf(child), child);
+    }
+
+    let cursor = parent.firstChild;
+    for (const nextChild of [...next.childNodes]) {
+      const key = keyOf(nextChild);
+      let match = null;
+      if (key) {
+        match = keyed.get(key) || null;
+        keyed.delete(key);
+      } else if (cursor && !keyOf(cursor) && cursor.nodeName === nextChild.nodeName) {
+        match = cursor;
+      }
+
+      if (!match) {
+        parent.insertBefore(nextChild, cursor);
+      } else {
+        if (match === cursor) cursor = cursor.nextSibling;
+        else parent.insertBefore(match, cursor);
+        this._patchNode(match, nextChild);
+      }
+    }
+
+    while (cursor) {
+      const stale = cursor;
+      cursor = cursor.nextSibling;
+      stale.remove();
+    }
+  }
+
+  _patchNode(node, next) {
+    if (node.nodeName !== next.nodeName) {
+      node.replaceWith(next);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      if (node.nodeValue !== next.nodeValue) node.nodeValue = next.nodeValue;
+      return;
+    }
+    if (node.getAttribute('data-patch') === 'skip') return;
+
+    for (const { name } of [...node.attributes]) {
+      if (!next.hasAttribute(name)) node.removeAttribute(name);
+    }
+    for (const { name, value } of next.attributes) {
+      if (node.getAttribute(name) !== value) node.setAttribute(name, value);
+    }
+    const selected = node.tagName === 'SELECT' ? next.querySelector('option[selected]') : null;
+    this._patchChildren(node, next);
+
+    // Attributes only set the defaults of form controls, the live state is in properties.
+    // The focused field keeps what is being typed.
+    if (node.tagName === 'INPUT') {
+      if (node.type === 'checkbox') {
+        node.checked = node.hasAttribute('checked');
+      } else if (node !== this.shadowRoot.activeElement && node.value !== (node.getAttribute('value') || '')) {
+        node.value = node.getAttribute('value') || '';
+      }
+    }
+    if (selected && node.value !== selected.value) node.value = selected.value;
+  }
+
+  // Device table. Large tables only render the rows around the visible part of their scroller,
+  // with spacer rows keeping the scrollbar the size of the whole table.
+  _renderTable(shown, groups) {
+    const columns = this._getVisibleColumns();
+    const bulk = this._bulkActionsEnabled();
+    const allSelected = shown.every((r) => this._selected.has(r.device_id));
+    this._tableItems = groups
+      ? groups.flatMap((g) => {
+        const collapsed = this._collapsedGroups.has(`${this._groupBy}:${g.key}`);
+        return [{ group: g, collapsed }, ...(collapsed ? [] : g.rows.map((row) => ({ row })))];
+      })
+      : shown.map((row) => ({ row }));
+    this._virtualRange = this._getVirtualRange(this._tableItems.length);
+
+    return `
+      <div class="table-scroll ${this._virtualRange ? 'virtual' : ''}">
+        <table aria-label="${this._escape(this._t('panel.overview'))}">
+          <thead>
+            <tr>
+              ${bulk ? `<th class="select-cell">
+                <input type="checkbox" id="select-all" ${allSelected ? 'checked' : ''} aria-label="${this._escape(this._t('panel.select_all'))}">
+              </th>` : ''}
+              ${columns.map((c) => c.sortable === false
+                ? `<th class="${c.cls || ''}" title="${this._escape(c.title || c.label)}">${this._escape(c.label)}</th>`
+                : `<th class="sortable ${c.cls || ''}" data-key="${this._escape(c.key)}" title="${this._escape(c.title || c.label)}">${this._escape(c.label)} <span class="sort-indicator">${this._getSortIndicator(c.key)}</span></th>`
+              ).join('')}
+            </tr>
+          </thead>
+          <tbody>${this._renderTableBody()}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  _renderTableBody() {
+    const columns = this._getVisibleColumns();
+    const bulk = this._bulkActionsEnabled();
+    const span = columns.length + (bulk ? 1 : 0);
+    const items = this._tableItems;
+    const { start, end } = this._virtualRange || { start: 0, end: items.length };
+    const spacer = (key, count) => (count > 0
+      ? `<tr class="virtual-spacer" data-key="${key}" aria-hidden="true"><td colspan="${span}" style="height: ${Math.round(count * this._rowHeight)}px"></td></tr>`
+      : '');
+
+    return `
+      ${spacer('spacer-top', start)}
+      ${items.slice(start, end).map((item) => (item.group ? this._renderGroupRow(item, span) : this._renderTableRow(item.row, columns, bulk))).join('')}
+      ${spacer('spacer-bottom', items.length - end)}
+    `;
+  }
+
+  _renderTableRow(r, columns, bulk) {
+    return `
+      <tr class="${bulk && this._selected.has(r.device_id) ? 'selected' : ''} ${r.availability === 'offline' ? 'offline' : ''}" data-key="row:${this._escape(r.device_id)}">
+        ${bulk ? `<td class="select-cell">
+          <input type="checkbox" class="row-select" data-device="${this._escape(r.device_id)}" ${this._selected.has(r.device_id) ? 'checked' : ''} aria-label="${this._escape(this._t('panel.select_device', { name: r.name || '' }))}">
+        </td>` : ''}
+        ${columns.map((c) => `<td class="${c.cls || ''}">${this._renderCell(c, r)}</td>`).join('')}
+      </tr>
+    `;
+  }
+
+  _renderGroupRow({ group: g, collapsed }, span) {
+    return `
+      <tr class="group-header" data-key="group:${this._escape(g.key)}" data-group="${this._escape(g.key)}" aria-expanded="${!collapsed}">
+        <td colspan="${span}">
+          <span class="group-toggle">${collapsed ? '▸' : '▾'}</span>
+          <span class="group-label">${this._escape(g.label)}</span>
+          <span class="muted">(${this._formatNumber(g.rows.length)})</span>
+          ${this._renderGroupBadges(g.rows)}
+        </td>
+      </tr>
+    `;
+  }
+
+  // Slice of the table items to render, or null when the table is small enough to render whole.
+  // Before the virtual scroller exists a fixed number of rows is rendered.
+  _getVirtualRange(count) {
+    if (count <= VIRTUAL_ROW_THRESHOLD) return null;
+    const scroller = this.shadowRoot.querySelector('.table-scroll.virtual');
+    const top = scroller?.scrollTop || 0;
+    const visible = Math.ceil((scroller?.clientHeight || this._rowHeight * VIRTUAL_WINDOW_ROWS) / this._rowHeight);
+    const first = Math.min(Math.floor(top / this._rowHeight), Math.max(0, count - visible));
+    return {
+      start: Math.max(0, first - VIRTUAL_OVERSCAN),
+      end: Math.min(count, first + visible + VIRTUAL_OVERSCAN),
+    };
+  }
+
+  _onTableScroll() {
+    if (!this._virtualRange || this._scrollFrame) return;
+    this._scrollFrame = requestAnimationFrame(() => {
+      this._scrollFrame = null;
+      const range = this._getVirtualRange(this._tableItems.length);
+      if (!range || (range.start === this._virtualRange?.start && range.end === this._virtualRange?.end)) return;
+      this._virtualRange = range;
+      this._patchTableBody();
+      this._measureRowHeight();
+      // Rows scrolled into view may need sparkline history
+      this._fetchQueuedHistory();
+    });
+  }
+
+  _patchTableBody() {
+    const tbody = this.shadowRoot.querySelector('.table-scroll tbody');
+    if (tbody) this._patchDom(tbody, this._renderTableBody());
+  }
+
+  // Size the spacer rows with the average height of the rows on screen
+  _measureRowHeight() {
+    if (!this._virtualRange) return;
+    const heights = [...this.shadowRoot.querySelectorAll('.table-scroll tbody tr[data-key^="row:"]')]
+      .map((tr) => tr.offsetHeight)
+      .filter(Boolean);
+    if (!heights.length) return;
+    const height = heights.reduce((sum, h) => sum + h, 0) / heights.length;
+    if (Math.abs(height - this._rowHeight) < 1) return;
+    this._rowHeight = height;
+    this._patchTableBody();
+  }
+
+  // Device cards for narrow screens: name, model, status and the key fields, with the other
+  // visible columns behind a Details toggle
+  _renderCards(shown, groups) {
+    const byKey = new Map(this._getColumns().map((c) => [c.key, c]));
+    const face = CARD_FIELDS.map((key) => byKey.get(key));
+    const details = this._getVisibleColumns().filter((c) => !['name', 'model', 'availability', ...CARD_FIELDS].includes(c.key));
+    const bulk = this._bulkActionsEnabled();
+    const fields = (columns, r) => columns.map((c) => `<div><dt>${this._escape(c.label)}</dt><dd>${this._renderCell(c, r)}</dd></div>`).join('');
+
+    const renderCard = (r) => {
+      const expanded = this._expandedCards.has(r.device_id);
+      return `
+        <div class="device-card ${bulk && this._selected.has(r.device_id) ? 'selected' : ''} ${r.availability === 'offline' ? 'offline' : ''}" data-key="card:${this._escape(r.device_id)}">
+          <div class="device-card-header">
+            ${bulk ? `<input type="checkbox" class="row-select" data-device="${this._escape(r.device_id)}" ${this._selected.has(r.device_id) ? 'checked' : ''} aria-label="${this._escape(this._t('panel.select_device', { name: r.name || '' }))}">` : ''}
+            <div class="device-card-title">
+              ${this._renderCell(byKey.get('name'), r)}
+              ${r.model ? `<div class="muted">${this._escape(r.model)}</div>` : ''}
+            </div>
+            <div>${this._renderCell(byKey.get('availability'), r)}</div>
+          </div>
+          <dl class="device-card-fields">${fields(face, r)}</dl>
+          ${details.length ? `<button class="linklike card-toggle" data-device="${this._escape(r.device_id)}" aria-expanded="${expanded}">${this._escape(this._t(expanded ? 'card.hide_details' : 'card.details'))}</button>` : ''}
+          ${expanded && details.length ? `<dl class="device-card-fields device-card-details">${fields(details, r)}</dl>` : ''}
+        </div>
+      `;
+    };
+
+    return `
+      <div class="device-cards" aria-label="${this._escape(this._t('panel.overview'))}">
+        ${groups
+          ? groups.map((g) => {
+            const collapsed = this._collapsedGroups.has(`${this._groupBy}:${g.key}`);
+            return `
+              <button class="group-header card-group" data-key="group:${this._escape(g.key)}" data-group="${this._escape(g.key)}" aria-expanded="${!collapsed}">
+                <span class="group-toggle">${collapsed ? '▸' : '▾'}</span>
+                <span class="group-label">${this._escape(g.label)}</span>
+                <span class="muted">(${this._formatNumber(g.rows.length)})</span>
+                ${this._renderGroupBadges(g.rows)}
+              </button>
+              ${collapsed ? '' : g.rows.map(renderCard).join('')}
+            `;
+          }).join('')
+          : shown.map(renderCard).join('')}
+      </div>
+    `;
+  }
+
+  // Listeners are delegated from the shadow root and attached once; rendering patches the
+  // DOM in place, so nothing needs rewiring afterwards. Handlers get the element matching
+  // their selector (closest to the event target) and the event.
+  _attachEventListeners() {
+    const handlers = this._getEventHandlers();
+    for (const type of new Set(handlers.map(([t]) => t))) {
+      this.shadowRoot.addEventListener(type, (e) => {
+        for (const [t, selector, handler] of handlers) {
+          if (t !== type) continue;
+          const el = e.target.closest?.(selector);
+          if (el) handler(el, e);
+        }
+      });
+    }
+    // Scroll events don't bubble, so listen in the capture phase
+    this.shadowRoot.addEventListener('scroll', (e) => {
+      if (e.target.classList?.contains('table-scroll')) this._onTableScroll();
+    }, true);
+  }
+
+  _getEventHandlers() {
+    const toggleIn = (set, id, on) => {
+      if (on) set.add(id);
+      else set.delete(id);
+      this._render();
+    };
+    const dismiss = (prop) => () => {
+      this[prop] = null;
+      this._render();
+    };
+
+    return [
+      // Keep Home Assistant keyboard shortcuts (e.g. "e", "c") from firing while typing
+      ['keydown', 'input:not([type="checkbox"])', (el, e) => e.stopPropagation()],
+
+      ['input', '#search', (el) => this._setFilters({ search: el.value })],
+      ['change', '#model-filter', (el) => this._setFilters({ model: el.value })],
+      ['click', 'button.filter-chip[data-chip]', (el) => {
+        const key = el.getAttribute('data-chip');
+        const chips = this._filters.chips.includes(key)
+          ? this._filters.chips.filter((c) => c !== key)
+          : [...this._filters.chips, key];
+        this._setFilters({ chips });
+      }],
+      ['click', '.clear-filters', () => this._setFilters({ search: '', model: '', chips: [] })],
+      ['click', '.show-offline', () => this._setFilters({ chips: [...this._filters.chips.filter((c) => c !== 'unavailable'), 'unavailable'] })],
+      ['click', '.show-power-warnings', () => this._setFilters({ chips: [...this._filters.chips, 'power_warning'] })],
+      ['click', 'button.tab[data-view]', (el) => this._setView(el.getAttribute('data-view'))],
+      ['click', 'button.export[data-format]', (el) => this._exportRows(el.getAttribute('data-format'))],
+      ['change', '#history-period', (el) => this._setHistoryPeriod(el.value)],
+      ['change', '#group-by', (el) => this._setGroupBy(el.value)],
+      ['click', '.group-header[data-group]', (el) => this._toggleGroup(el.getAttribute('data-group'))],
+      ['click', 'th.sortable[data-key]', (el) => this._toggleSort(el.getAttribute('data-key'))],
+      ['click', '.card-toggle[data-device]', (el) => {
+        const deviceId = el.getAttribute('data-device');
+        toggleIn(this._expandedCards, deviceId, !this._expandedCards.has(deviceId));
+      }],
+
+      ['click', 'button.release-notes[data-entity]', (el) => this._openReleaseNotes(el.getAttribute('data-entity'), el.getAttribute('data-title'))],
+      ['click', '.close-release-notes', dismiss('_releaseNotes')],
+      ['keydown', '.release-notes-dialog', (el, e) => {
+        if (e.key === 'Escape') dismiss('_releaseNotes')();
+      }],
+
+      ['click', '[data-chart-device]', (el) => {
+        this._chartDevice = el.getAttribute('data-chart-device');
+        this._render();
+      }],
+      ['click', '.close-chart', dismiss('_chartDevice')],
+      ['keydown', '.chart-dialog', (el, e) => {
+        if (e.key === 'Escape') dismiss('_chartDevice')();
+      }],
+
+      ['click', '.open-columns', () => {
+        this._columnChooserOpen = true;
+        this._render();
+      }],
+      ['click', '[data-column-control]', (el) => {
+        if (el.type !== 'checkbox') this._handleColumnControl(el.getAttribute('data-column-control'), el.getAttribute('data-column'));
+      }],
+      ['change', 'input[type="checkbox"][data-column-control]', (el) => this._handleColumnControl(el.getAttribute('data-column-control'), el.getAttribute('data-column'))],
+      ['input', '#column-label, #column-pattern, #column-domain', (el) => this._updateColumnDraft(el)],
+      ['change', '#column-label, #column-pattern, #column-domain', (el) => this._updateColumnDraft(el)],
+      ['keydown', '#column-label, #column-pattern, #column-domain', (el, e) => {
+        if (e.key !== 'Enter') return;
+        this._updateColumnDraft(el);
+        this._addCustomColumn();
+      }],
+      ['keydown', '.column-chooser', (el, e) => {
+        if (e.key === 'Escape') this._handleColumnControl('close');
+      }],
+
+      ['click', 'button.open-drawer[data-device]', (el) => this._openDrawer(el.getAttribute('data-device'))],
+      ['click', '.drawer-backdrop, .close-drawer', () => this._closeDrawer()],
+      ['keydown', '.drawer', (el, e) => {
+        if (e.key === 'Escape') this._closeDrawer();
+      }],
+      ['click', 'button.press-button[data-entity]', async (el) => {
+        const entityId = el.getAttribute('data-entity');
+        const label = el.textContent.trim();
+        if (entityId && await this._confirmDeviceAction(entityId, this._t('confirm.press', { label }), label, /_(reboot|restart)$/i.test(entityId))) {
+          this._handleButtonPress(entityId, label);
+        }
+      }],
+      ['click', 'button.more-info[data-entity]', (el) => {
+        const entityId = el.getAttribute('data-entity');
+        if (entityId && this._hass) {
+          const ev = new Event('hass-more-info', { bubbles: true, composed: true });
+          ev.detail = { entityId };
+          this.dispatchEvent(ev);
+        }
+      }],
+      ['click', 'a.mac-link[data-device], a.device-link[data-device]', (el, e) => {
+        e.preventDefault();
+        const deviceId = el.getAttribute('data-device');
+        if (deviceId) this._navigateToDevice(deviceId);
+      }],
+
+      ['click', 'button.update-button[data-entity]', async (el) => {
+        const entityId = el.getAttribute('data-entity');
+        const beta = el.classList.contains('beta-button');
+        if (entityId && await this._confirmDeviceAction(entityId, this._t(beta ? 'confirm.update_beta' : 'confirm.update'), this._t('bulk.action.update', {}, 'Update firmware'))) {
+          this._handleFirmwareUpdate(entityId);
+        }
+      }],
+      ['click', 'button.reboot-button[data-entity]', async (el) => {
+        const entityId = el.getAttribute('data-entity');
+        if (entityId && await this._confirmDeviceAction(entityId, this._t('confirm.reboot'), this._t('cell.reboot'))) {
+          this._handleReboot(entityId);
+        }
+      }],
+
+      ['change', 'input.row-select[data-device]', (el) => toggleIn(this._selected, el.getAttribute('data-device'), el.checked)],
+      ['change', '#select-all', (el) => this._selectFiltered(el.checked)],
+      ['click', '.select-filtered', () => this._selectFiltered(true)],
+      ['click', '.clear-selection', () => {
+        this._selected.clear();
+        this._render();
+      }],
+      ['change', '#bulk-action', (el) => {
+        this._bulkAction = el.value;
+        this._render();
+      }],
+      ['change', '#bulk-concurrency', (el) => {
+        const limit = Math.max(1, Math.min(20, parseInt(el.value) || DEFAULT_BULK_CONCURRENCY));
+        this._bulkConcurrency = limit;
+        this._storageSet('bulkConcurrency', limit);
+        this._render();
+      }],
+      ['click', '.bulk-run', () => this._startBulkAction()],
+      ['click', '.bulk-dismiss', dismiss('_bulkJob')],
+
+      ['change', '#rollout-waves', (el) => {
+        this._rolloutWaves = el.value;
+        this._storageSet('rolloutWaves', this._rolloutWaves);
+      }],
+      ['change', '#rollout-timeout', (el) => {
+        this._rolloutTimeout = Math.max(1, Math.min(120, parseInt(el.value) || DEFAULT_ROLLOUT_TIMEOUT_MIN));
+        this._storageSet('rolloutTimeout', this._rolloutTimeout);
+        this._render();
+      }],
+      ['click', 'button[data-rollout]', (el) => this._handleRolloutControl(el.getAttribute('data-rollout'))],
+
+      ['change', 'input.cleanup-select[data-entity]', (el) => toggleIn(this._cleanupSelected, el.getAttribute('data-entity'), el.checked)],
+      ['change', '#cleanup-select-all', (el) => {
+        this._cleanupSelected = el.checked
+          ? new Set(this._findCleanupCandidates().map((c) => c.entity_id))
+          : new Set();
+        this._render();
+      }],
+      ['click', '.cleanup-clear', () => {
+        this._cleanupSelected.clear();
+        this._render();
+      }],
+      ['click', 'button.cleanup-run[data-action]', (el) => this._startCleanup(el.getAttribute('data-action'))],
+      ['click', '.cleanup-dismiss', dismiss('_cleanupJob')],
+
+      ['change', 'input.drift-select[data-deviation]', (el) => toggleIn(this._driftSelected, el.getAttribute('data-deviation'), el.checked)],
+      ['change', '#drift-select-all', (el) => {
+        this._driftSelected = el.checked
+          ? new Set(this._getDrift(this._applyFilters(this._data || [])).flatMap((c) => c.deviations).filter((d) => d.fix).map((d) => d.id))
+          : new Set();
+        this._render();
+      }],
+      ['click', '.drift-clear', () => {
+        this._driftSelected.clear();
+        this._render();
+      }],
+      ['click', '.drift-run', () => this._startRemediation(this._applyFilters(this._data || []))],
+      ['click', '.drift-dismiss', dismiss('_driftJob')],
+
+      ['click', '.ack-ips', () => {
+        this._previousIps = this._storageGet('knownIps') || {};
+        this._render();
+      }],
+
+      ['input', '#log-search', (el) => {
+        this._logFilter = { ...this._logFilter, search: el.value };
+        this._render();
+      }],
+      ['change', '#log-result', (el) => {
+        this._logFilter = { ...this._logFilter, result: el.value };
+        this._render();
+      }],
+      ['click', 'button.export-log[data-format]', (el) => this._exportLog(el.getAttribute('data-format'))],
+      ['click', 'button.toast-log[data-log]', (el) => {
+        this._logHighlight = el.getAttribute('data-log');
+        this._logFilter = { search: '', result: '' };
+        this._setView('log');
+        this.shadowRoot.querySelector('tr.log-highlight')?.scrollIntoView?.({ block: 'center' });
+      }],
+      ['click', 'button.toast-dismiss[data-toast]', (el) => this._dismissToast(el.getAttribute('data-toast'))],
+
+      ['click', '.dialog-confirm', () => this._closeDialog(true)],
+      ['click', '.dialog-cancel', () => this._closeDialog(false)],
+      ['input', '#dialog-confirm-input', (el) => {
+        this._dialog.typed = el.value;
+        this._render();
+      }],
+      ['keydown', '#dialog-confirm-input', (el, e) => {
+        if (e.key === 'Enter') this._closeDialog(true);
+      }],
+      ['keydown', '.dialog', (el, e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') this._closeDialog(false);
+      }],
+    ];
+  }
+
+  _updateColumnDraft(input) {
+    const field = input.id.slice('column-'.length);
+    this._columnDraft = { ...this._columnDraft, [field]: input.value, error: null };
+  }
+
+  _getSortIndicator(key) {
+    if (this._sort?.key !== key) return '';
+    return this._sort.dir === 'asc' ? '▲' : '▼';
+  }
+
+  _applySort(arr) {
+    const { key, dir } = this._sort || { key: 'name', dir: 'asc' };
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    const column = this._getColumns().find((c) => c.key === key);
+    
+    const val = (r) => {
+      const v = column?.sortValue ? column.sortValue(r) : r[key];
+      if (v === null || v === undefined) return '';
+      if (typeof v === 'boolean') return v ? '1' : '0';
+      if (typeof v === 'number') return v;
+      return String(v);
+    };
+    
+    arr.sort((a, b) => {
+      if (column?.compare) {
+        const cmp = column.compare(a, b);
+        return dir === 'asc' ? cmp : -cmp;
+      }
+      const va = val(a);
+      const vb = val(b);
+      // Numbers compare numerically (negative RSSI values sort correctly), everything else as text
+      const cmp = typeof va === 'number' && typeof vb === 'number' ? va - vb : collator.compare(String(va), String(vb));
+      return dir === 'asc' ? cmp : -cmp;
+    });
+    
+    return arr;
+  }
+
+  _toggleSort(key) {
+    if (!this._sort) {
+      this._sort = { key, dir: 'asc' };
+    } else if (this._sort.key === key) {
+      this._sort.dir = this._sort.dir === 'asc' ? 'desc' : 'asc';
+    } else {
+      this._sort.key = key;
+      this._sort.dir = 'asc';
+    }
+    this._render();
+  }
+
+  _hasActiveFilters() {
+    const { search, model, chips } = this._filters;
+    return Boolean(search.trim() || model || chips.length);
+  }
+
+  _applyFilters(arr) {
+    const { search, model, chips } = this._filters;
+    const terms = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const activeChips = FILTER_CHIPS.filter((c) => chips.includes(c.key));
+
+    return arr.filter((r) => {
+      if (model && r.model !== model) return false;
+      if (!activeChips.every((c) => c.test(r, this._config))) return false;
+      if (terms.length === 0) return true;
+      // MAC is also matched without separators so "aabbcc" finds "AA:BB:CC"
+      const haystack = [r.name, r.model, r.ip, r.mac, (r.mac || '').replace(/[:-]/g, '')].join(' ').toLowerCase();
+      return terms.every((t) => haystack.includes(t));
+    });
+  }
+
+  // Audit one row against SECURITY_CHECKS
+  _auditDevice(r) {
+    const checks = SECURITY_CHECKS.map((c) => ({ key: c.key, status: c.evaluate(r) }));
+    const score = SECURITY_SEVERITY.find((sev) => checks.some((c) => c.status === sev)) || 'unknown';
+    return { checks, score };
+  }
+
+  _renderSecurityView(rows) {
+    const audits = rows.map((r) => ({ row: r, ...this._auditDevice(r) }));
+    const failingChecks = audits.reduce((n, a) => n + a.checks.filter((c) => c.status === 'fail').length, 0);
+    const countScore = (score) => audits.filter((a) => a.score === score).length;
+    const scoreLabel = (score) => this._t(`security.score.${score}`);
+    const columns = new Map(this._getColumns().map((c) => [c.key, c]));
+
+    const statusChip = (status, title) => {
+      const symbol = { pass: '✓', warn: '!', fail: '✗', unknown: '?' }[status];
+      return `<span class="chip sec-${status}" title="${this._escape(title || scoreLabel(status))}">${symbol}</span>`;
+    };
+
+    return `
+      <div class="security-summary">
+        <div class="summary-item ${failingChecks ? 'sec-fail-text' : ''}">${this._t('security.failing', { count: failingChecks })}</div>
+        ${['fail', 'warn', 'unknown', 'pass'].map((score) => `<div class="summary-item"><strong>${countScore(score)}</strong> ${this._escape(scoreLabel(score))}</div>`).join('')}
+      </div>
+      <div style="overflow-x: auto;">
+        <table aria-label="${this._escape(this._t('security.table'))}">
+          <thead>
+            <tr>
+              <th class="sortable" data-key="name">${this._escape(columns.get('name').label)} <span class="sort-indicator">${this._getSortIndicator('name')}</span></th>
+              <th class="sortable" data-key="model">${this._escape(columns.get('model').label)} <span class="sort-indicator">${this._getSortIndicator('model')}</span></th>
+              <th class="status-cell">${this._escape(this._t('security.score'))}</th>
+              ${SECURITY_CHECKS.map((c) => `<th class="status-cell">${this._escape(this._t(`security.${c.key}`, {}, c.label))}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${audits.map((a) => `
+              <tr>
+                <td>${this._escape(a.row.name || '')}</td>
+                <td>${this._escape(a.row.model || '')}</td>
+                <td class="status-cell"><span class="score sec-${a.score}">${this._escape(scoreLabel(a.score))}</span></td>
+                ${a.checks.map((c) => {
+                  const check = SECURITY_CHECKS.find((sc) => sc.key === c.key);
+                  return `<td class="status-cell">${statusChip(c.status, this._t(`security.${c.key}.${c.status}`, {}, check.describe[c.status]))}</td>`;
+                }).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  _setView(view) {
+    this._view = view;
+    this._storageSet('view', view);
+    this._updateUrl();
+    this._render();
+  }
+
+  _loadView() {
+    const params = new URLSearchParams(window.location.search);
+    const view = params.has('view') ? params.get('view') : this._storageGet('view');
+    return VIEWS.some((v) => v.key === view) ? view : 'devices';
+  }
+
+  _renderOfflineBanner(rows) {
+    const offline = rows.filter((r) => r.availability === 'offline').length;
+    const disabled = rows.filter((r) => r.availability === 'disabled').length;
+    if (!offline && !disabled) return '';
+    const showingOffline = this._filters.chips.includes('unavailable');
+
+    return `
+      <div class="offline-banner ${offline ? '' : 'info'}" role="status">
+        ${offline ? `<span>⚠️ ${this._t('offline.count', { count: offline })}</span>` : ''}
+        ${disabled ? `<span class="muted">${this._escape(this._t('offline.disabled', { count: disabled }))}</span>` : ''}
+        ${offline && !showingOffline ? `<button class="linklike show-offline">${this._escape(this._t('offline.show'))}</button>` : ''}
+      </div>
+    `;
+  }
+
+  _renderCell(col, r) {
+    if (col.custom) {
+      const cell = r.custom?.[col.custom.id];
+      if (!cell || cell.value === null) return '<span class="muted">—</span>';
+      return `${this._escape(cell.value)}${cell.unit ? ` ${this._escape(cell.unit)}` : ''}`;
+    }
+
+    switch (col.key) {
+      case 'name':
+        return `<button class="linklike open-drawer" data-device="${this._escape(r.device_id)}" title="${this._escape(this._t('cell.details'))}">${this._escape(r.name || '')}</button>${this._isProtected(r) ? ` <span class="protected" title="${this._escape(this._t('cell.protected'))}">🔒</span>` : ''}`;
+      case 'availability': {
+        const info = AVAILABILITY[r.availability];
+        const title = r.availability === 'disabled' && r.disabledBy
+          ? this._t('cell.disabled_by', { by: r.disabledBy })
+          : this._t(`availability.${r.availability}.title`, {}, info.title);
+        const seen = r.availability === 'offline' ? 'cell.offline_since' : 'cell.last_seen';
+        return `
+          <span class="status-badge status-${r.availability}" title="${this._escape(title)}">${this._escape(this._t(`availability.${r.availability}`, {}, info.label))}</span>
+          ${r.lastSeen ? `<div class="last-seen muted" title="${this._escape(this._formatDateTime(r.lastSeen))}">${this._escape(this._t(seen, { time: this._formatRelativeTime(r.lastSeen) }))}</div>` : ''}
+        `;
+      }
+      case 'model':
+        return this._escape(r.model || '');
+      case 'area':
+        return r.area ? this._escape(r.area) : '<span class="muted">—</span>';
+      case 'ip':
+        return r.ip 
+          ? `<a href="${this._escape(r.configuration_url)}" target="_blank" rel="noreferrer noopener" title="${this._escape(this._t('cell.web_interface'))}">${this._escape(r.ip)}</a>` 
+          : '<span class="muted">—</span>';
+      case 'mac':
+        return r.mac 
+          ? `<a class="mac-link" data-device="${this._escape(r.device_id)}" title="${this._escape(this._t('cell.device_page'))}">${this._escape(r.mac)}</a>` 
+          : '<span class="muted">—</span>';
+      case 'cloud':
+        return this._formatBool(r.cloud);
+      case 'temperature':
+        return `${this._formatTemp(r.temperature, r.temperatureUnit)}${this._renderSparkline(r, r.temperatureEntity)}`;
+      case 'rssi': {
+        const drop = this._getRssiDrop(r);
+        const dropFlag = drop !== null
+          ? ` <span class="signal-drop" title="${this._escape(this._t('cell.signal_drop', { drop: this._formatNumber(Math.round(drop)) }))}">⚠️</span>`
+          : '';
+        return `${this._formatRSSI(r.rssi)}${dropFlag}${this._renderSparkline(r, r.rssiEntity)}`;
+      }
+      case 'power': {
+        if (r.power === null) return '<span class="muted">—</span>';
+        const details = [
+          r.voltage !== null ? `${this._formatNumber(Math.round(r.voltage))} V` : '',
+          r.current !== null ? `${this._formatNumber(r.current, { maximumFractionDigits: 2 })} A` : '',
+          r.powerLimit ? this._t('cell.rated', { limit: this._formatNumber(r.powerLimit) }) : '',
+        ].filter(Boolean).join(', ');
+        return r.powerWarnings.length
+          ? `<span class="temp-warning" title="${this._escape(r.powerWarnings.join('\n'))}">⚠️ ${this._formatPower(r.power)}</span>`
+          : `<span title="${this._escape(details)}">${this._formatPower(r.power)}</span>`;
+      }
+      case 'energy':
+        return r.energy === null ? '<span class="muted">—</span>' : this._formatEnergy(r.energy);
+      case 'uptime':
+        return this._formatUptime(r.bootTime);
+      case 'fwInstalled': {
+        const version = r.fwInstalledVersion || r.sw_version;
+        return version ? `<span class="version">${this._escape(version)}</span>` : '<span class="muted">—</span>';
+      }
+      case 'fwLatest':
+        return `
+          ${r.fwLatestVersion
+            ? `<span class="version ${r.fwUpdateAvailable ? 'version-new' : ''}">${this._escape(r.fwLatestVersion)}</span>${this._renderNotesButton(r.fwUpdateEntity, r.fwReleaseNotes, r.name)}`
+            : '<span class="muted">—</span>'}
+          ${r.betaLatestVersion ? `
+            <div class="beta-line">
+              <span class="beta-tag" title="${this._escape(this._t('cell.beta_firmware'))}">β</span>
+              <span class="version">${this._escape(r.betaLatestVersion)}</span>${this._renderNotesButton(r.betaUpdateEntity, r.betaReleaseNotes, this._t('cell.beta_name', { name: r.name }))}
+              ${this._renderUpdateControl(r.betaUpdateEntity, r.betaUpdateAvailable, r.betaInProgress, 'beta')}
+            </div>
+          ` : ''}
+        `;
+      case 'fwUpToDate':
+        if (r.fwInProgress !== false) {
+          return this._renderUpdateControl(r.fwUpdateEntity, r.fwUpdateAvailable, r.fwInProgress, 'stable');
+        }
+        if (r.fwUpdateAvailable && !this._actionsEnabled()) {
+          return `<span class="chip update-available" title="${this._escape(this._t('cell.update_available'))}">⬆</span>`;
+        }
+        return r.fwUpdateAvailable 
+          ? `<button class="action-button update-button" data-entity="${this._escape(r.fwUpdateEntity)}" title="${this._escape(this._t('cell.update_title'))}">${this._escape(this._t('cell.update'))}</button>`
+          : r.fwUpToDate === true
+            ? `<span class="chip ok" title="${this._escape(this._t('cell.up_to_date'))}">✓</span>`
+            : `<span class="chip unknown" title="${this._escape(this._t('cell.unknown'))}">—</span>`;
+      case 'reboot':
+        return r.rebootEntity 
+          ? `<button class="action-button reboot-button" data-entity="${this._escape(r.rebootEntity)}" title="${this._escape(this._t('cell.reboot_title'))}">${this._escape(this._t('cell.reboot'))}</button>`
+          : '<span class="muted">—</span>';
+      default:
+        return '<span class="muted">—</span>';
+    }
+  }
+
+  _renderNotesButton(entityId, supported, title) {
+    if (!entityId || !supported) return '';
+    return ` <button class="linklike release-notes" data-entity="${this._escape(entityId)}" data-title="${this._escape(title)}" title="${this._escape(this._t('notes.title'))}">ⓘ</button>`;
+  }
+
+  // Update button, or a progress indicator while the update entity reports in_progress
+  _renderUpdateControl(entityId, available, progress, channel) {
+    if (progress !== false) {
+      const text = typeof progress === 'number'
+        ? this._t('cell.updating_pct', { pct: this._formatNumber(progress / 100, { style: 'percent', maximumFractionDigits: 0 }) })
+        : this._t('cell.updating');
+      return `<span class="updating" title="${this._escape(this._t('cell.installing'))}">⏳ ${this._escape(text)}</span>`;
+    }
+    if (!available || !entityId) return '';
+    if (!this._actionsEnabled()) {
+      return `<span class="chip update-available" title="${this._escape(this._t('cell.update_available'))}">⬆</span>`;
+    }
+    const label = this._t(channel === 'beta' ? 'cell.beta' : 'cell.update');
+    return `<button class="action-button update-button ${channel === 'beta' ? 'beta-button' : ''}" data-entity="${this._escape(entityId)}" title="${this._escape(this._t(`cell.install_${channel}`))}">${this._escape(label)}</button>`;
+  }
+
+  async _openReleaseNotes(entityId, title) {
+    const st = this._hass?.states?.[entityId];
+    this._releaseNotes = {
+      entityId,
+      title,
+      version: st?.attributes?.latest_version || '',
+      url: st?.attributes?.release_url || '',
+      summary: st?.attributes?.release_summary || '',
+      notes: null,
+      loading: true,
+      error: null,
+    };
+    this._render();
+
+    try {
+      const notes = await this._hass.callWS({ type: 'update/release_notes', entity_id: entityId });
+      if (this._releaseNotes?.entityId !== entityId) return;
+      this._releaseNotes = { ...this._releaseNotes, notes: notes || '', loading: false };
+    } catch (err) {
+      if (this._releaseNotes?.entityId !== entityId) return;
+      this._releaseNotes = { ...this._releaseNotes, loading: false, error: String(err?.message || err) };
+    }
+    this._render();
+  }
+
+  _renderReleaseNotes() {
+    const rn = this._releaseNotes;
+    if (!rn) return '';
+    return `
+      <div class="dialog-backdrop release-notes-backdrop">
+        <div class="dialog release-notes-dialog" role="dialog" aria-modal="true" aria-label="${this._escape(this._t('notes.title'))}">
+          <h2>${this._escape(rn.title)}${rn.version ? ` - ${this._escape(rn.version)}` : ''}</h2>
+          ${rn.summary ? `<p>${this._escape(rn.summary)}</p>` : ''}
+          ${rn.loading ? `<p class="muted">⏳ ${this._escape(this._t('notes.loading'))}</p>` : ''}
+          ${rn.error ? `<p class="form-error">${this._escape(this._t('notes.error', { error: rn.error }))}</p>` : ''}
+          ${!rn.loading && !rn.error && !rn.notes ? `<p class="muted">${this._escape(this._t('notes.none'))}</p>` : ''}
+          <div class="release-notes-body" data-key="notes:${this._escape(rn.entityId)}" data-patch="skip"></div>
+          <div class="dialog-actions">
+            ${rn.url ? `<a href="${this._escape(rn.url)}" target="_blank" rel="noreferrer noopener">${this._escape(this._t('notes.changelog'))}</a>` : ''}
+            <button class="action-button primary-button close-release-notes">${this._escape(this._t('common.close'))}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Release notes are markdown; use Home Assistant's renderer when it is loaded
+  _fillReleaseNotes() {
+    const body = this.shadowRoot.querySelector('.release-notes-body');
+    const notes = this._releaseNotes?.notes;
+    if (!body || !notes || body.hasChildNodes()) return;
+    if (customElements.get('ha-markdown')) {
+      const md = document.createElement('ha-markdown');
+      md.content = notes;
+      body.appendChild(md);
+    } else {
+      body.textContent = notes;
+      body.classList.add('plain');
+    }
+  }
+
+  _getHistoryPeriod() {
+    return HISTORY_PERIODS.find((p) => p.key === this._historyPeriod) || HISTORY_PERIODS[0];
+  }
+
+  // Cached [timestamp, value] points for an entity in the selected period, or null.
+  // Points older than HISTORY_MAX_AGE_MS are still returned while a refresh is queued.
+  _getHistoryPoints(entityId) {
+    const entry = entityId ? this._history.get(`${this._historyPeriod}:${entityId}`) : null;
+    if (!entry) return null;
+    if (this._isHistoryStale(entry)) this._historyQueue.add(entityId);
+    return entry.points;
+  }
+
+  _isHistoryStale(entry) {
+    return Date.now() - entry.fetchedAt > HISTORY_MAX_AGE_MS;
+  }
+
+  _renderSparkline(r, entityId) {
+    if (!entityId || this._historyPeriod === 'off') return '';
+    const points = this._getHistoryPoints(entityId);
+    if (!points) {
+      this._historyQueue.add(entityId);
+      return '<span class="sparkline sparkline-loading"></span>';
+    }
+    if (points.length < 2) return '';
+    return `
+      <button class="sparkline linklike" data-chart-device="${this._escape(r.device_id)}" title="${this._escape(this._t('chart.show'))}">
+        ${this._renderLineSvg(this._downsample(points, SPARKLINE_POINTS), 60, 18)}
+      </button>
+    `;
+  }
+
+  // Average points into at most `max` buckets so long periods stay light to draw
+  _downsample(points, max) {
+    if (points.length <= max) return points;
+    const size = points.length / max;
+    const out = [];
+    for (let i = 0; i < max; i++) {
+      const bucket = points.slice(Math.floor(i * size), Math.floor((i + 1) * size));
+      if (bucket.length === 0) continue;
+      out.push([bucket[0][0], bucket.reduce((sum, p) => sum + p[1], 0) / bucket.length]);
+    }
+    return out;
+  }
+
+  _renderLineSvg(points, width, height, { axis = false } = {}) {
+    const values = points.map((p) => p[1]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const t0 = points[0][0];
+    const t1 = points[points.length - 1][0];
+    const pad = axis ? 4 : 1;
+    const x = (t) => pad + ((t - t0) / Math.max(1, t1 - t0)) * (width - pad * 2);
+    const y = (v) => pad + (1 - (v - min) / Math.max(1e-9, max - min)) * (height - pad * 2);
+    const line = points.map((p) => `${x(p[0]).toFixed(1)},${y(p[1]).toFixed(1)}`).join(' ');
+    return `
+      <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none" aria-hidden="true">
+        ${axis ? `<line x1="${pad}" x2="${width - pad}" y1="${y(min)}" y2="${y(min)}" class="chart-axis"></line>` : ''}
+        <polyline points="${line}" fill="none" stroke="currentColor" stroke-width="${axis ? 2 : 1.5}" vector-effect="non-scaling-stroke"></polyline>
+      </svg>
+    `;
+  }
+
+  // dB the current RSSI is below the device's median over the period, when it crosses the threshold
+  _getRssiDrop(r) {
+    const points = this._getHistoryPoints(r.rssiEntity);
+    const current = toNumber(r.rssi);
+    if (!points || points.length < 4 || current === null) return null;
+    const sorted = points.map((p) => p[1]).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const drop = median - current;
+    return drop >= RSSI_DROP_THRESHOLD_DB ? drop : null;
+  }
+
+  // Fetch history for queued entities in batches, one request at a time
+  async _fetchQueuedHistory() {
+    if (this._historyFetching || this._historyQueue.size === 0 || !this._hass) return;
+    const period = this._getHistoryPeriod();
+    if (!period.hours) return;
+    this._historyFetching = true;
+
+    try {
+      while (this._historyQueue.size > 0 && this._historyPeriod === period.key) {
+        const batch = [...this._historyQueue].slice(0, HISTORY_BATCH_SIZE);
+        batch.forEach((id) => this._historyQueue.delete(id));
+        // Renders while a refresh is in flight queue the same stale entities again
+        const ids = batch.filter((id) => {
+          const entry = this._history.get(`${period.key}:${id}`);
+          return !entry || this._isHistoryStale(entry);
+        });
+        if (ids.length === 0) continue;
+        const end = new Date();
+        const start = new Date(end.getTime() - period.hours * 3600 * 1000);
+
+        let series = null;
+        try {
+          series = period.source === 'statistics'
+            ? await this._fetchStatistics(ids, start, end)
+            : await this._fetchHistory(ids, start, end);
+        } catch (err) {
+          console.error('Shelly Dashboard Panel - Error loading history:', err);
+        }
+
+        // Entities without data are cached too, so they aren't requested again on every render.
+        // A failed refresh keeps the points already shown and retries after HISTORY_MAX_AGE_MS.
+        for (const id of ids) {
+          const key = `${period.key}:${id}`;
+          const points = series ? series[id] || [] : this._history.get(key)?.points || [];
+          this._history.set(key, { fetchedAt: Date.now(), points });
+        }
+        this._scheduleRender();
+      }
+    } finally {
+      this._historyFetching = false;
+    }
+  }
+
+  async _fetchHistory(entityIds, start, end) {
+    const result = await this._hass.callWS({
+      type: 'history/history_during_period',
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      entity_ids: entityIds,
+      minimal_response: true,
+      no_attributes: true,
+      significant_changes_only: false,
+    });
+    const series = {};
+    for (const [id, states] of Object.entries(result || {})) {
+      series[id] = states
+        .map((st) => [((st.lu ?? st.lc) || 0) * 1000, parseFloat(st.s)])
+        .filter((p) => p[0] && !isNaN(p[1]));
+    }
+    return series;
+  }
+
+  async _fetchStatistics(entityIds, start, end) {
+    const result = await this._hass.callWS({
+      type: 'recorder/statistics_during_period',
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      statistic_ids: entityIds,
+      period: 'hour',
+      types: ['mean'],
+    });
+    const series = {};
+    for (const [id, stats] of Object.entries(result || {})) {
+      series[id] = stats
+        .map((st) => [typeof st.start === 'number' ? st.start : Date.parse(st.start), st.mean])
+        .filter((p) => p[0] && typeof p[1] === 'number');
+    }
+    return series;
+  }
+
+  _setHistoryPeriod(period) {
+    this._historyPeriod = period;
+    this._storageSet('historyPeriod', period);
+    this._historyQueue.clear();
+    this._render();
+  }
+
+  _renderChartDialog() {
+    const r = this._chartDevice ? (this._data || []).find((row) => row.device_id === this._chartDevice) : null;
+    if (!r) return '';
+    const period = this._getHistoryPeriod();
+
+    const chart = (title, entityId, unit) => {
+      const points = this._getHistoryPoints(entityId);
+      if (!entityId) return '';
+      if (!points || points.length < 2) {
+        return `<h3>${this._escape(title)}</h3><p class="muted">${this._escape(this._t('chart.no_history'))}</p>`;
+      }
+      const values = points.map((p) => p[1]);
+      const fmt = (v) => `${this._formatNumber(v, { maximumFractionDigits: 1 })} ${unit}`;
+      return `
+        <h3>${this._escape(title)}</h3>
+        <div class="chart">${this._renderLineSvg(points, 560, 140, { axis: true })}</div>
+        <div class="chart-legend muted">
+          <span>${this._escape(this._t('chart.min', { value: fmt(Math.min(...values)) }))}</span>
+          <span>${this._escape(this._t('chart.max', { value: fmt(Math.max(...values)) }))}</span>
+          <span>${this._escape(this._t('chart.now', { value: fmt(values[values.length - 1]) }))}</span>
+          <span>${this._escape(this._formatDateTime(points[0][0]))} - ${this._escape(this._formatDateTime(points[points.length - 1][0]))}</span>
+        </div>
+      `;
+    };
+    const drop = this._getRssiDrop(r);
+
+    return `
+      <div class="dialog-backdrop">
+        <div class="dialog chart-dialog" role="dialog" aria-modal="true" aria-label="${this._escape(this._t('chart.label', { name: r.name }))}">
+          <h2>${this._escape(this._t('chart.title', { name: r.name, period: this._t(`history.${period.key}`, {}, period.label) }))}</h2>
+          ${drop !== null ? `<p class="form-error">⚠️ ${this._escape(this._t('chart.signal_drop', { drop: this._formatNumber(Math.round(drop)) }))}</p>` : ''}
+          ${chart(this._t('chart.rssi'), r.rssiEntity, 'dBm')}
+          ${chart(this._t('chart.temperature'), r.temperatureEntity, r.temperatureUnit)}
+          <div class="dialog-actions">
+            <button class="action-button primary-button close-chart">${this._escape(this._t('common.close'))}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  async _openDrawer(deviceId) {
+    this._drawerDevice = deviceId;
+    this._render();
+    this.shadowRoot.querySelector('.close-drawer')?.focus();
+
+    // Config entry titles are only needed here, so load them the first time the drawer opens
+    if (this._configEntries || !this._hass) return;
+    try {
+      const entries = await this._hass.callWS({ type: 'config_entries/get' });
+      this._configEntries = new Map((entries || []).map((e) => [e.entry_id, e]));
+    } catch (err) {
+      console.warn('Shelly Dashboard Panel - Could not load config entries:', err);
+      this._configEntries = new Map();
+    }
+    if (this._drawerDevice) this._render();
+  }
+
+  _closeDrawer() {
+    this._drawerDevice = null;
+    this._render();
+  }
+
+  // Output channels of a device with the power sensor that belongs to each of them.
+  // Shelly names channel sensors after the channel: switch.x_switch_0 -> sensor.x_switch_0_power.
+  _getChannels(ents) {
+    const channels = ents.filter((e) => !e.entity_category && CHANNEL_DOMAINS.includes(this._getDomain(e.entity_id)));
+    const powerSensors = ents.filter((e) => {
+      if (this._getDomain(e.entity_id) !== 'sensor') return false;
+      const st = this._hass?.states?.[e.entity_id];
+      return st ? st.attributes?.device_class === 'power' : /_power$/.test(e.entity_id);
+    });
+    const objectId = (id) => id.split('.')[1] || '';
+    const channelNumber = (id) => (objectId(id).match(/(?:switch|relay|channel|light|cover|output)_(\d+)/) || [])[1];
+
+    return channels.map((ch) => {
+      const prefix = `${objectId(ch.entity_id)}_`;
+      const power = powerSensors.find((p) => objectId(p.entity_id).startsWith(prefix))
+        || (channelNumber(ch.entity_id) !== undefined
+          && powerSensors.find((p) => channelNumber(p.entity_id) === channelNumber(ch.entity_id)))
+        || (channels.length === 1 && powerSensors.length === 1 ? powerSensors[0] : null);
+      return { entity: ch, power: power || null };
+    });
+  }
+
+  // State with unit, or a muted placeholder when the entity has no state. Home Assistant's own
+  // formatter (2023.9+) translates states and formats numbers for the user's locale.
+  _formatEntityState(entityId) {
+    const st = this._hass?.states?.[entityId];
+    if (!st) return '<span class="muted">—</span>';
+    const text = this._hass.formatEntityState?.(st);
+    if (st.state === 'unavailable' || st.state === 'unknown') return `<span class="muted">${this._escape(text || st.state)}</span>`;
+    if (text) return this._escape(text);
+    const unit = st.attributes?.unit_of_measurement;
+    return `${this._escape(st.state)}${unit ? ` ${this._escape(unit)}` : ''}`;
+  }
+
+  _renderDrawer() {
+    const deviceId = this._drawerDevice;
+    const device = deviceId ? this._devicesById?.get(deviceId) : null;
+    if (!device) return '';
+
+    const r = (this._data || []).find((row) => row.device_id === deviceId);
+    const ents = this._entitiesByDevice?.get(deviceId) || [];
+    const states = this._hass?.states || {};
+    const name = r?.name || device.name_by_user || device.name || deviceId;
+    const actions = this._actionsEnabled();
+
+    // Entity names without the device name prefix HA adds to friendly names
+    const entityName = (ent) => {
+      const label = ent.name || ent.original_name || states[ent.entity_id]?.attributes?.friendly_name || ent.entity_id;
+      return label.startsWith(`${name} `) ? label.slice(name.length + 1) : label;
+    };
+
+    const via = device.via_device_id ? this._devicesById.get(device.via_device_id) : null;
+    const entries = (device.config_entries || []).map((id) => {
+      const entry = this._configEntries?.get(id);
+      return entry ? `${entry.title} (${entry.domain}${entry.state && entry.state !== 'loaded' ? `, ${entry.state}` : ''})` : id;
+    });
+    const info = [
+      ['manufacturer', device.manufacturer],
+      ['model', [device.model, device.model_id].filter(Boolean).join(' / ')],
+      ['area', r?.area || this._areasById?.get(device.area_id)?.name],
+      ['firmware', device.sw_version],
+      ['hardware', device.hw_version],
+      ['ip', r?.ip],
+      ['mac', r?.mac],
+      ['via', via ? `<a class="device-link" data-device="${this._escape(via.id)}">${this._escape(via.name_by_user || via.name || via.id)}</a>` : null, true],
+      ['config_entry', entries.length ? entries.join(', ') : null],
+    ].filter(([, value]) => value);
+
+    const channels = this._getChannels(ents);
+    const buttons = ents.filter((e) => this._getDomain(e.entity_id) === 'button' && !e.disabled_by);
+    const updates = ents.filter((e) => this._getDomain(e.entity_id) === 'update' && !e.disabled_by);
+
+    const entityRow = (ent) => `
+      <li class="${ent.disabled_by ? 'muted' : ''}">
+        <button class="linklike more-info" data-entity="${this._escape(ent.entity_id)}" title="${this._escape(ent.entity_id)}">${this._escape(entityName(ent))}</button>
+        <span>${ent.disabled_by ? this._escape(this._t('cleanup.disabled_by', { by: ent.disabled_by })) : this._formatEntityState(ent.entity_id)}</span>
+      </li>
+    `;
+
+    return `
+      <div class="drawer-backdrop"></div>
+      <aside class="drawer" role="dialog" aria-modal="true" aria-label="${this._escape(name)}">
+        <div class="drawer-header">
+          <div>
+            <h2>${this._escape(name)}</h2>
+            ${r ? this._renderCell(COLUMNS.find((c) => c.key === 'availability'), r) : ''}
+          </div>
+          <button class="linklike close-drawer" aria-label="${this._escape(this._t('common.close'))}">✕</button>
+        </div>
+
+        <dl class="drawer-info">
+          ${info.map(([key, value, html]) => `<dt>${this._escape(this._t(`drawer.info.${key}`))}</dt><dd>${html ? value : this._escape(value)}</dd>`).join('')}
+        </dl>
+        <p><a class="device-link" data-device="${this._escape(deviceId)}">${this._escape(this._t('conflict.open_device'))}</a></p>
+
+        ${channels.length ? `
+          <h3>${this._escape(this._t('drawer.channels'))}</h3>
+          <ul class="drawer-list">
+            ${channels.map((ch) => `
+              <li>
+                <button class="linklike more-info" data-entity="${this._escape(ch.entity.entity_id)}" title="${this._escape(ch.entity.entity_id)}">${this._escape(entityName(ch.entity))}</button>
+                <span>${this._formatEntityState(ch.entity.entity_id)}${ch.power ? ` · ${this._formatEntityState(ch.power.entity_id)}` : ''}</span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+
+        ${actions && (buttons.length || updates.length) ? `
+          <h3>${this._escape(this._t('drawer.actions'))}</h3>
+          <div class="drawer-actions">
+            ${updates.map((ent) => {
+              const st = states[ent.entity_id];
+              const available = st?.state === 'on' && !st.attributes?.in_progress;
+              return `<button class="action-button update-button ${/beta/i.test(ent.entity_id) ? 'beta-button' : ''}" data-entity="${this._escape(ent.entity_id)}" ${available ? '' : 'disabled'} title="${this._escape(available ? this._t('drawer.install', { version: st.attributes?.latest_version || '' }) : this._t('drawer.no_update'))}">${this._escape(entityName(ent))}</button>`;
+            }).join('')}
+            ${buttons.map((ent) => `<button class="action-button press-button" data-entity="${this._escape(ent.entity_id)}" ${states[ent.entity_id]?.state === 'unavailable' ? 'disabled' : ''}>${this._escape(entityName(ent))}</button>`).join('')}
+          </div>
+        ` : ''}
+
+        ${DRAWER_SECTIONS.map((section) => {
+          const sectionEnts = ents
+            .filter((e) => (e.entity_category || null) === section.key)
+            .sort((a, b) => entityName(a).localeCompare(entityName(b)));
+          return sectionEnts.length ? `
+            <h3>${this._escape(this._t(`drawer.section.${section.key || 'entities'}`, {}, section.label))} <span class="muted">(${this._formatNumber(sectionEnts.length)})</span></h3>
+            <ul class="drawer-list">${sectionEnts.map(entityRow).join('')}</ul>
+          ` : '';
+        }).join('')}
+      </aside>
+    `;
+  }
+
+  // "now", "5 min. ago", "3 hr. ago", "2 days ago" in the user's language
+  _formatRelativeTime(ts) {
+    const seconds = Math.max(0, Math.round((Date.now() - ts) / 1000));
+    const language = this._hass?.locale?.language || this._hass?.language || undefined;
+    const rtf = this._getFormatter('RelativeTimeFormat', language, { numeric: 'auto', style: 'short' });
+    if (seconds < 60) return rtf.format(0, 'second');
+    if (seconds < 3600) return rtf.format(-Math.floor(seconds / 60), 'minute');
+    if (seconds < 86400) return rtf.format(-Math.floor(seconds / 3600), 'hour');
+    return rtf.format(-Math.floor(seconds / 86400), 'day');
+  }
+
+  _formatBool(val) {
+    if (val === true) return `<span class="chip ok" title="${this._escape(this._t('common.active'))}">✓</span>`;
+    if (val === false) return `<span class="chip off" title="${this._escape(this._t('common.inactive'))}">✗</span>`;
+    return `<span class="chip unknown" title="${this._escape(this._t('cell.unknown'))}">—</span>`;
+  }
+
+  _formatPower(watts) {
+    if (Math.abs(watts) >= 1000) return `${this._formatNumber(watts / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} kW`;
+    return `${this._formatNumber(watts, { maximumFractionDigits: 1 })} W`;
+  }
+
+  _formatEnergy(kwh) {
+    if (kwh >= 1000) return `${this._formatNumber(kwh / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} MWh`;
+    return `${this._formatNumber(kwh, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} kWh`;
+  }
+
+  // Fleet totals and the biggest consumers among the devices shown
+  _renderPowerOverview(rows) {
+    const metering = rows.filter((r) => r.power !== null);
+    if (metering.length === 0) return '';
+    const total = metering.reduce((s, r) => s + r.power, 0);
+    const energy = rows.filter((r) => r.energy !== null).reduce((s, r) => s + r.energy, 0);
+    const warnings = rows.filter((r) => r.powerWarnings.length).length;
+    const top = metering.filter((r) => r.power > 0).sort((a, b) => b.power - a.power).slice(0, TOP_CONSUMERS);
+    const showingWarnings = this._filters.chips.includes('power_warning');
+
+    return `
+      <div class="power-overview">
+        <div class="security-summary">
+          <div class="summary-item">${this._t('power.total', { value: this._formatPower(total) })}</div>
+          <div class="summary-item">${this._t('power.energy', { value: this._formatEnergy(energy) })}</div>
+          <div class="summary-item">${this._t('power.metering', { count: metering.length })}</div>
+          ${warnings ? `
+            <div class="summary-item sec-fail-text">${this._t('power.warnings', { count: warnings })}
+              ${showingWarnings ? '' : `<button class="linklike show-power-warnings">${this._escape(this._t('power.show'))}</button>`}
+            </div>
+          ` : ''}
+        </div>
+        ${top.length ? `
+          <ol class="top-consumers" aria-label="${this._escape(this._t('power.top'))}">
+            ${top.map((r) => `
+              <li>
+                <button class="linklike open-drawer" data-device="${this._escape(r.device_id)}">${this._escape(r.name)}</button>
+                <span class="consumer-bar"><span style="width: ${Math.max(2, Math.round((r.power / top[0].power) * 100))}%"></span></span>
+                <span class="numeric-cell">${this._formatPower(r.power)}</span>
+              </li>
+            `).join('')}
+          </ol>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // temperature_warning is configured in °C; sensors in °F are compared against it converted
+  _formatTemp(temp, unit = '°C') {
+    const value = toNumber(temp);
+    if (value === null) return '<span class="muted">—</span>';
+    const text = `${this._formatNumber(value)} ${this._escape(unit)}`;
+    const celsius = this._config.temperature_warning;
+    const warning = celsius !== null && unit === '°F' ? celsius * 9 / 5 + 32 : celsius;
+    if (warning !== null && value >= warning) {
+      const limit = `${this._formatNumber(warning, { maximumFractionDigits: 1 })} ${unit}`;
+      return `<span class="temp-warning" title="${this._escape(this._t('cell.temperature_warning', { limit }))}">⚠️ ${text}</span>`;
+    }
+    return text;
+  }
+
+  _formatRSSI(rssi) {
+    if (!rssi) return '<span class="muted">—</span>';
+    const val = parseInt(rssi);
+    const { good, fair, weak } = this._config.rssi_thresholds;
+    let quality = '';
+    if (val >= good) quality = '🟢';
+    else if (val >= fair) quality = '🟡';
+    else if (val >= weak) quality = '🟠';
+    else quality = '🔴';
+    return `${quality} ${this._formatNumber(val)} dBm`;
+  }
+
+  // Time since boot as "3d 4h", "4h 12m" or "12m"
+  _formatUptime(bootTime) {
+    if (!bootTime) return '<span class="muted">—</span>';
+    const minutes = Math.max(0, Math.floor((Date.now() - bootTime) / 60000));
+    const d = Math.floor(minutes / 1440);
+    const h = Math.floor((minutes % 1440) / 60);
+    const m = minutes % 60;
+    const key = minutes >= 1440 ? 'duration.days' : minutes >= 60 ? 'duration.hours' : 'duration.minutes';
+    return `<span title="${this._escape(this._t('cell.booted', { time: this._formatDateTime(bootTime) }))}">${this._escape(this._t(key, { d, h, m }))}</span>`;
+  }
+
+  // All columns (built-in and user-defined) in the user's order, with their visibility
+  _getColumns() {
+    const available = [
+      ...COLUMNS.map((c) => ({
+        ...c,
+        label: this._t(`column.${c.key}`, {}, c.label),
+        title: c.title && this._t(`column.${c.key}.title`, {}, c.title),
+      })),
+      ...this._customColumns.map((c) => ({
+        key: `custom:${c.id}`,
+        label: c.label,
+        title: this._t('columns.custom_title', { domain: c.domain, pattern: c.pattern }),
+        cls: 'numeric-cell',
+        custom: c,
+        sortValue: (r) => {
+          const value = r.custom?.[c.id]?.value;
+          return toNumber(value) ?? value;
+        },
+        fields: [{ key: `custom_${c.id}`, label: c.label, value: (r) => r.custom?.[c.id]?.value ?? null }],
+      })),
+    ];
+    const byKey = new Map(available.map((c) => [c.key, c]));
+    const ordered = [];
+    // Without a saved layout the panel config decides which columns show, in which order
+    const configColumns = this._config.columns;
+    const layout = this._columnLayout || (configColumns
+      ? [...configColumns.map((key) => ({ key, visible: true })), ...COLUMNS.filter((c) => !configColumns.includes(c.key)).map((c) => ({ key: c.key, visible: false }))]
+      : []);
+    for (const entry of layout) {
+      const col = byKey.get(entry.key);
+      if (!col) continue;
+      ordered.push({ ...col, visible: entry.visible !== false });
+      byKey.delete(entry.key);
+    }
+    // Columns not in the saved layout (new in this version, or just added) go after the
+    // column they follow by default, or at the end
+    for (const col of byKey.values()) {
+      const defaultIdx = available.indexOf(col);
+      const prevKey = defaultIdx > 0 ? available[defaultIdx - 1].key : null;
+      const prevIdx = prevKey ? ordered.findIndex((c) => c.key === prevKey) : -1;
+      const entry = { ...col, visible: !configColumns || configColumns.includes(col.key) };
+      if (prevIdx === -1) ordered.push(entry);
+      else ordered.splice(prevIdx + 1, 0, entry);
+    }
+    return ordered;
+  }
+
+  _getVisibleColumns() {
+    // Read-only panels have nothing to show in the Reboot column
+    return this._getColumns().filter((c) => c.visible && (c.key !== 'reboot' || this._actionsEnabled()));
+  }
+
+  _compilePattern(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch {
+      return null;
+    }
+  }
+
+  _applyColumnSettings(settings) {
+    if (!settings || typeof settings !== 'object') return;
+    if (Array.isArray(settings.layout)) {
+      this._columnLayout = settings.layout.filter((c) => c && typeof c.key === 'string');
+    }
+    if (Array.isArray(settings.custom)) {
+      this._customColumns = settings.custom.filter((c) =>
+        c && typeof c.id === 'string' && typeof c.label === 'string' && typeof c.pattern === 'string' && CUSTOM_COLUMN_DOMAINS.includes(c.domain)
+      );
+    }
+  }
+
+  // Column layout is stored per Home Assistant user; localStorage is the fallback and the
+  // first-paint cache until the user data arrives
+  async _loadColumnSettings() {
+    this._columnsLoaded = true;
+    const settings = await this._userDataGet('columns');
+    if (!settings) return;
+    this._applyColumnSettings(settings);
+    this._storageSet('columns', settings);
+    if (this._devices) this._buildRows();
+    this._render();
+  }
+
+  _saveColumnSettings() {
+    const settings = {
+      layout: this._getColumns().map((c) => ({ key: c.key, visible: c.visible })),
+      custom: this._customColumns,
+    };
+    this._columnLayout = settings.layout;
+    this._storageSet('columns', settings);
+    this._userDataSet('columns', settings);
+  }
+
+  _updateColumns(mutate) {
+    const columns = this._getColumns();
+    mutate(columns);
+    this._columnLayout = columns.map((c) => ({ key: c.key, visible: c.visible }));
+    this._saveColumnSettings();
+    this._render();
+  }
+
+  _handleColumnControl(control, key) {
+    if (control === 'toggle') {
+      this._updateColumns((cols) => {
+        const col = cols.find((c) => c.key === key);
+        if (col) col.visible = !col.visible;
+      });
+    } else if (control === 'up' || control === 'down') {
+      this._updateColumns((cols) => {
+        const idx = cols.findIndex((c) => c.key === key);
+        const target = control === 'up' ? idx - 1 : idx + 1;
+        if (idx === -1 || target < 0 || target >= cols.length) return;
+        [cols[idx], cols[target]] = [cols[target], cols[idx]];
+      });
+    } else if (control === 'remove') {
+      this._customColumns = this._customColumns.filter((c) => `custom:${c.id}` !== key);
+      this._updateColumns((cols) => {
+        const idx = cols.findIndex((c) => c.key === key);
+        if (idx !== -1) cols.splice(idx, 1);
+      });
+      this._buildRows();
+      this._render();
+    } else if (control === 'reset') {
+      this._columnLayout = null;
+      this._saveColumnSettings();
+      this._render();
+    } else if (control === 'add') {
+      this._addCustomColumn();
+    } else if (control === 'close') {
+      this._columnChooserOpen = false;
+      this._render();
+    }
+  }
+
+  _addCustomColumn() {
+    const { label, pattern, domain } = this._columnDraft;
+    let error = null;
+    if (!label.trim()) error = this._t('columns.error.label');
+    else if (!pattern.trim()) error = this._t('columns.error.pattern');
+    else if (!this._compilePattern(pattern.trim())) error = this._t('columns.error.invalid', { pattern });
+    if (error) {
+      this._columnDraft = { ...this._columnDraft, error };
+      this._render();
+      return;
+    }
+
+    const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'column';
+    let id = base;
+    for (let n = 2; this._customColumns.some((c) => c.id === id); n++) id = `${base}_${n}`;
+
+    this._customColumns = [...this._customColumns, { id, label: label.trim(), pattern: pattern.trim(), domain }];
+    this._columnDraft = { label: '', pattern: '', domain, error: null };
+    this._saveColumnSettings();
+    this._buildRows();
+    this._render();
+  }
+
+  _renderColumnChooser() {
+    if (!this._columnChooserOpen) return '';
+    const columns = this._getColumns();
+    const draft = this._columnDraft;
+
+    return `
+      <div class="dialog-backdrop">
+        <div class="dialog column-chooser" role="dialog" aria-modal="true" aria-label="${this._escape(this._t('panel.columns'))}">
+          <h2>${this._escape(this._t('panel.columns'))}</h2>
+          <ul class="column-list">
+            ${columns.map((c, i) => `
+              <li>
+                <label>
+                  <input type="checkbox" data-column-control="toggle" data-column="${this._escape(c.key)}" ${c.visible ? 'checked' : ''}>
+                  ${this._escape(c.label)}
+                  ${c.custom ? `<span class="muted">(${this._escape(c.custom.domain)} ~ ${this._escape(c.custom.pattern)})</span>` : ''}
+                </label>
+                <span class="column-buttons">
+                  <button class="linklike" data-column-control="up" data-column="${this._escape(c.key)}" ${i === 0 ? 'disabled' : ''} title="${this._escape(this._t('columns.up'))}">↑</button>
+                  <button class="linklike" data-column-control="down" data-column="${this._escape(c.key)}" ${i === columns.length - 1 ? 'disabled' : ''} title="${this._escape(this._t('columns.down'))}">↓</button>
+                  ${c.custom ? `<button class="linklike" data-column-control="remove" data-column="${this._escape(c.key)}" title="${this._escape(this._t('columns.remove'))}">✕</button>` : ''}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+          <h3>${this._escape(this._t('columns.add_title'))}</h3>
+          <p class="muted">${this._t('columns.add_help')}</p>
+          <div class="column-form">
+            <input id="column-label" type="text" placeholder="${this._escape(this._t('columns.label'))}" value="${this._escape(draft.label)}">
+            <select id="column-domain">
+              ${CUSTOM_COLUMN_DOMAINS.map((d) => `<option value="${d}" ${d === draft.domain ? 'selected' : ''}>${d}</option>`).join('')}
+            </select>
+            <input id="column-pattern" type="text" placeholder="${this._escape(this._t('columns.pattern'))}" value="${this._escape(draft.pattern)}">
+            <button class="action-button primary-button" data-column-control="add">${this._escape(this._t('columns.add'))}</button>
+          </div>
+          ${draft.error ? `<p class="form-error">${this._escape(draft.error)}</p>` : ''}
+          <div class="dialog-actions">
+            <button class="linklike" data-column-control="reset">${this._escape(this._t('columns.reset'))}</button>
+            <button class="action-button primary-button" data-column-control="close">${this._escape(this._t('common.done'))}</button>
           </div>
         </div>
       </div>
     `;
+  }
 
-    this._attachEventListeners();
+  // Per-user storage through Home Assistant's frontend user data, falling back to localStorage
+  async _userDataGet(key) {
+    try {
+      const result = await this._hass.callWS({ type: 'frontend/get_user_data', key: `${STORAGE_PREFIX}-${key}` });
+      if (result?.value !== null && result?.value !== undefined) return result.value;
+    } catch (err) {
+      console.warn(`Shelly Dashboard Panel - Could not read user data "${key}", using localStorage:`, err);
+    }
+    return this._storageGet(key);
   }
 
-  _attachEventListeners() {
-    this.shadowRoot.querySelectorAll('th.sortable').forEach((th) => {
-      th.onclick = () => {
-        const key = th.getAttribute('data-key');
-        this._toggleSort(key);
+  async _userDataSet(key, value) {
+    try {
+      await this._hass.callWS({ type: 'frontend/set_user_data', key: `${STORAGE_PREFIX}-${key}`, value });
+    } catch (err) {
+      console.warn(`Shelly Dashboard Panel - Could not save user data "${key}", kept in localStorage only:`, err);
+    }
+  }
+
+  // Export exactly the rows shown (filtered and sorted) with the columns the user has visible
+  _exportRows(format) {
+    const rows = this._applySort(this._applyFilters(this._data || []));
+    const fields = this._getVisibleColumns().flatMap((c) => c.fields);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      const lines = [
+        fields.map((f) => this._csvValue(f.label)).join(','),
+        ...rows.map((r) => fields.map((f) => this._csvValue(f.value(r))).join(',')),
+      ];
+      // CRLF line endings as per RFC 4180; BOM so Excel detects UTF-8
+      this._download(`shelly-devices-${date}.csv`, `\uFEFF${lines.join('\r\n')}\r\n`, 'text/csv;charset=utf-8');
+    } else {
+      const data = {
+        schema: 'shelly-dashboard-panel/devices',
+        version: EXPORT_SCHEMA_VERSION,
+        exported_at: new Date().toISOString(),
+        filters: { ...this._filters },
+        fields: fields.map((f) => f.key),
+        devices: rows.map((r) => {
+          const device = { device_id: r.device_id };
+          for (const f of fields) device[f.key] = f.value(r);
+          return device;
+        }),
       };
+      this._download(`shelly-devices-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+  }
+
+  // Quote a CSV value when needed and double embedded quotes. Text starting with =, +, -, @,
+  // a tab or a carriage return gets a leading ' so spreadsheets don't evaluate device or entity
+  // names as formulas; numbers, including negative entity states such as "-3.5", are kept as is.
+  _csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    const numeric = str.trim() === str && Number.isFinite(Number(str));
+    if (/^[=+\-@\t\r]/.test(str) && !numeric) str = `'${str}`;
+    return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+  }
+
+  _download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _selectFiltered(selected) {
+    const shown = this._applyFilters(this._data || []);
+    for (const r of shown) {
+      if (selected) {
+        this._selected.add(r.device_id);
+      } else {
+        this._selected.delete(r.device_id);
+      }
+    }
+    this._render();
+  }
+
+  // Selected rows that still exist (devices can disappear through registry updates)
+  _getSelectedRows() {
+    return (this._data || []).filter((r) => this._selected.has(r.device_id));
+  }
+
+  _renderBulkBar(shown) {
+    if (!this._bulkActionsEnabled()) return '';
+    const selected = this._getSelectedRows();
+    const job = this._bulkJob;
+    if (selected.length === 0 && !job) return '';
+
+    const running = job && job.items.some((i) => i.status === 'queued' || i.status === 'running');
+
+    return `
+      ${selected.length > 0 ? `
+        <div class="bulk-bar">
+          <span>${this._t('common.selected', { count: selected.length })}</span>
+          ${selected.length < shown.length ? `<button class="linklike select-filtered">${this._escape(this._t('bulk.select_filtered', { count: shown.length }))}</button>` : ''}
+          <button class="linklike clear-selection">${this._escape(this._t('common.clear_selection'))}</button>
+          <span class="bulk-controls">
+            <select id="bulk-action" aria-label="${this._escape(this._t('bulk.action_label'))}">
+              ${BULK_ACTIONS.map((a) => `<option value="${a.key}" ${a.key === this._bulkAction ? 'selected' : ''}>${this._escape(this._t(`bulk.action.${a.key}`, {}, a.label))}</option>`).join('')}
+              <option value="rollout" ${this._bulkAction === 'rollout' ? 'selected' : ''}>${this._escape(this._t('bulk.action.rollout'))}</option>
+            </select>
+            ${this._bulkAction === 'rollout' ? `
+              <label class="muted" title="${this._escape(this._t('bulk.waves_title'))}">${this._escape(this._t('bulk.waves'))} <input id="rollout-waves" type="text" value="${this._escape(this._rolloutWaves)}"></label>
+              <label class="muted" title="${this._escape(this._t('bulk.timeout_title'))}">${this._escape(this._t('bulk.timeout'))} <input id="rollout-timeout" type="number" min="1" max="120" value="${this._rolloutTimeout}"> min</label>
+            ` : `
+              <label class="muted">${this._escape(this._t('bulk.parallel'))} <input id="bulk-concurrency" type="number" min="1" max="20" value="${this._bulkConcurrency}"></label>
+            `}
+            <button class="action-button bulk-run" ${running ? 'disabled' : ''}>${this._escape(this._t('bulk.run'))}</button>
+          </span>
+        </div>
+      ` : ''}
+      ${job ? this._renderJobProgress(job, 'bulk-dismiss') : ''}
+    `;
+  }
+
+  // Progress of a queued job; the dismiss button gets `dismissClass` once nothing is left to run
+  _renderJobProgress(job, dismissClass) {
+    const running = job.items.some((i) => i.status === 'queued' || i.status === 'running');
+    const statusIcon = { queued: '⏸', running: '⏳', succeeded: '✓', failed: '✗' };
+    const count = (...statuses) => job.items.filter((i) => statuses.includes(i.status)).length;
+    return `
+      <div class="bulk-progress">
+        <div class="bulk-progress-header">
+          <strong>${this._escape(job.label)}</strong>
+          <span class="muted">
+            ${this._escape(this._t('job.progress', { succeeded: count('succeeded'), failed: count('failed'), remaining: count('queued', 'running') }))}
+          </span>
+          ${running ? '' : `<button class="linklike ${dismissClass}">${this._escape(this._t('common.dismiss'))}</button>`}
+        </div>
+        <ul class="bulk-items">
+          ${job.items.map((i) => `
+            <li class="bulk-item status-${i.status}">
+              <span class="bulk-status" title="${this._escape(this._t(`job.status.${i.status}`))}">${statusIcon[i.status]}</span>
+              <span>${this._escape(i.name)}</span>
+              <span class="muted">${this._escape(this._t(`job.status.${i.status}`))}${i.error ? `: ${this._escape(i.error)}` : ''}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  async _startBulkAction() {
+    if (!this._bulkActionsEnabled()) return;
+    if (this._bulkAction === 'rollout') {
+      this._startRollout();
+      return;
+    }
+
+    const action = BULK_ACTIONS.find((a) => a.key === this._bulkAction);
+    if (!action || !this._hass) return;
+
+    const selected = this._getSelectedRows();
+    const supported = selected.filter((r) => action.entity(r));
+    // Protected devices are only rebooted or updated one at a time, with their name typed
+    const protectedRows = action.guarded ? supported.filter((r) => this._isProtected(r)) : [];
+    const targets = supported.filter((r) => !protectedRows.includes(r));
+    const skipped = selected.filter((r) => !action.entity(r));
+    const label = this._t(`bulk.action.${action.key}`, {}, action.label);
+    const notes = [
+      skipped.length ? this._t('bulk.unsupported', { count: skipped.length }) : '',
+      protectedRows.length ? this._t('bulk.protected', { count: protectedRows.length, names: protectedRows.map((r) => r.name).join(', ') }) : '',
+    ].filter(Boolean).join(' ');
+    if (targets.length === 0) {
+      await this._confirmDialog({
+        title: label,
+        message: protectedRows.length ? notes : this._t('bulk.none_supported', { count: selected.length }),
+        items: [],
+        cancelLabel: null,
+      });
+      return;
+    }
+
+    const confirmed = await this._confirmDialog({
+      title: this._t('bulk.confirm_title', { action: label, count: targets.length }),
+      message: notes,
+      items: targets.map((r) => r.name),
+      confirmLabel: label,
     });
+    if (!confirmed) return;
 
-    this.shadowRoot.querySelectorAll('button.more-info[data-entity]').forEach((btn) => {
-      btn.onclick = () => {
-        const entityId = btn.getAttribute('data-entity');
-        if (entityId && this._hass) {
-          const ev = new Event('hass-more-info', { bubbles: true, composed: true });
-          ev.detail = { entityId };
-          this.dispatchEvent(ev);
-        }
-      };
+    this._bulkJob = {
+      label,
+      items: targets.map((r) => ({
+        device_id: r.device_id,
+        name: r.name,
+        entity_id: action.entity(r),
+        status: 'queued',
+        error: null,
+      })),
+    };
+    this._render();
+
+    await this._runQueue(this._bulkJob.items, this._bulkConcurrency, async (item) => {
+      await this._runAction(
+        { action: action.label, target: item.entity_id, deviceId: item.device_id, details: 'Bulk action' },
+        () => this._hass.callService(action.domain, action.service, { entity_id: item.entity_id }),
+      );
     });
+    this._render();
+  }
 
-    this.shadowRoot.querySelectorAll('a.mac-link[data-device]').forEach((link) => {
-      link.onclick = (e) => {
-        e.preventDefault();
-        const deviceId = link.getAttribute('data-device');
-        if (deviceId) {
-          this._navigateToDevice(deviceId);
+  // Run worker for every item with at most `limit` in flight. Failures are recorded on the
+  // item and never stop the remaining items.
+  async _runQueue(items, limit, worker) {
+    let next = 0;
+    const runNext = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        item.status = 'running';
+        this._scheduleRender();
+        try {
+          await worker(item);
+          item.status = 'succeeded';
+        } catch (err) {
+          console.error(`Shelly Dashboard Panel - Bulk action failed for ${item.name}:`, err);
+          item.status = 'failed';
+          item.error = String(err?.message || err);
         }
-      };
+        this._scheduleRender();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  }
+
+  // Parse a wave spec like "1,5,rest" into wave sizes (Infinity = all remaining devices)
+  _parseWaves(spec) {
+    const parts = String(spec).split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+    if (parts.length === 0) throw new Error(this._t('rollout.error.empty'));
+    return parts.map((p, i) => {
+      if (p === 'rest') {
+        if (i !== parts.length - 1) throw new Error(this._t('rollout.error.rest'));
+        return Infinity;
+      }
+      const size = Number(p);
+      if (!Number.isInteger(size) || size < 1) throw new Error(this._t('rollout.error.size', { size: p }));
+      return size;
     });
+  }
 
-    this.shadowRoot.querySelectorAll('button.update-button[data-entity]').forEach((btn) => {
-      btn.onclick = () => {
-        const entityId = btn.getAttribute('data-entity');
-        if (entityId && confirm('Start firmware update for this device?')) {
-          this._handleFirmwareUpdate(entityId);
-        }
-      };
+  async _startRollout() {
+    if (!this._hass || !this._bulkActionsEnabled()) return;
+    if (this._rollout?.status === 'running') {
+      await this._confirmDialog({ title: this._t('rollout.running_title'), message: this._t('rollout.running_message'), cancelLabel: null });
+      return;
+    }
+
+    let sizes;
+    try {
+      sizes = this._parseWaves(this._rolloutWaves);
+    } catch (err) {
+      await this._confirmDialog({ title: this._t('rollout.invalid_waves'), message: err.message, cancelLabel: null });
+      return;
+    }
+
+    // Keep the order the user sees, so the canary is the first selected row in the table
+    const eligible = this._applySort(this._getSelectedRows()).filter((r) => r.fwUpdateAvailable && r.fwUpdateEntity);
+    const protectedRows = eligible.filter((r) => this._isProtected(r));
+    const targets = eligible.filter((r) => !protectedRows.includes(r));
+    const protectedNote = protectedRows.length
+      ? ` ${this._t('rollout.protected', { count: protectedRows.length, names: protectedRows.map((r) => r.name).join(', ') })}`
+      : '';
+    if (targets.length === 0) {
+      await this._confirmDialog({ title: this._t('rollout.title'), message: `${this._t('rollout.none')}${protectedNote}`, cancelLabel: null });
+      return;
+    }
+
+    // Devices left over after the explicit sizes go into one final wave
+    const waves = [];
+    let offset = 0;
+    for (const size of sizes) {
+      if (offset >= targets.length) break;
+      waves.push(targets.slice(offset, offset + size).map((r) => r.device_id));
+      offset += size;
+    }
+    if (offset < targets.length) waves.push(targets.slice(offset).map((r) => r.device_id));
+
+    const names = new Map(targets.map((r) => [r.device_id, r.name]));
+    const confirmed = await this._confirmDialog({
+      title: this._t('rollout.confirm_title', { count: targets.length }),
+      message: `${this._t('rollout.confirm_message', { minutes: this._rolloutTimeout })}${protectedNote}`,
+      items: waves.map((w, i) => this._t('rollout.wave_item', { wave: i + 1, names: w.map((id) => names.get(id)).join(', ') })),
+      confirmLabel: this._t('rollout.start'),
     });
+    if (!confirmed) return;
 
-    this.shadowRoot.querySelectorAll('button.reboot-button[data-entity]').forEach((btn) => {
-      btn.onclick = () => {
-        const entityId = btn.getAttribute('data-entity');
-        if (entityId && confirm('Reboot this device? It will be unavailable for a short time.')) {
-          this._handleReboot(entityId);
-        }
+    const devices = {};
+    for (const r of targets) {
+      devices[r.device_id] = {
+        name: r.name,
+        updateEntity: r.fwUpdateEntity,
+        primaryEntity: r.entity_id,
+        status: 'pending',
+        startedAt: null,
+        error: null,
       };
+    }
+    this._rollout = {
+      createdAt: Date.now(),
+      timeoutMinutes: this._rolloutTimeout,
+      waves,
+      currentWave: 0,
+      devices,
+      status: 'running',
+      haltReason: null,
+    };
+    this._saveRollout();
+    this._startRolloutTimer();
+    this._rolloutTick();
+  }
+
+  // A device is healthy once it runs the latest firmware and its primary entity is back
+  _isRolloutDeviceHealthy(dev) {
+    const states = this._hass?.states || {};
+    const update = states[dev.updateEntity];
+    if (!update || update.state === 'unavailable' || update.attributes?.in_progress) return false;
+    const { installed_version: installed, latest_version: latest } = update.attributes || {};
+    if (!installed || installed !== latest) return false;
+    const primary = dev.primaryEntity ? states[dev.primaryEntity] : null;
+    return !primary || primary.state !== 'unavailable';
+  }
+
+  // Advance the rollout state machine. Called on every hass update and on a timer, so
+  // timeouts are detected even when nothing changes.
+  async _rolloutTick() {
+    const rollout = this._rollout;
+    if (!rollout || rollout.status !== 'running' || !this._hass || !this._devices || this._rolloutBusy) return;
+    // The rollout is kept in this browser; only users allowed to run bulk actions advance it
+    if (!this._bulkActionsEnabled()) return;
+    this._rolloutBusy = true;
+    // Cancel and Dismiss can happen while an install call is awaited
+    const active = () => rollout.status === 'running' && this._rollout === rollout;
+
+    try {
+      const wave = rollout.waves[rollout.currentWave] || [];
+      const timeoutMs = rollout.timeoutMinutes * 60 * 1000;
+      let changed = false;
+
+      for (const deviceId of wave) {
+        if (!active()) break;
+        const dev = rollout.devices[deviceId];
+
+        if (dev.status === 'pending') {
+          if (this._isRolloutDeviceHealthy(dev) && this._hass.states[dev.updateEntity]?.state === 'off') {
+            dev.status = 'succeeded';
+            dev.error = this._t('rollout.already_current');
+            changed = true;
+            continue;
+          }
+          dev.status = 'installing';
+          dev.startedAt = Date.now();
+          this._saveRollout();
+          try {
+            await this._runAction(
+              { action: 'Update firmware', target: dev.updateEntity, deviceId, details: `Staged rollout, wave ${rollout.currentWave + 1}` },
+              () => this._hass.callService('update', 'install', { entity_id: dev.updateEntity }),
+            );
+            dev.status = 'waiting';
+          } catch (err) {
+            console.error(`Shelly Dashboard Panel - Rollout install failed for ${dev.name}:`, err);
+            dev.status = 'failed';
+            dev.error = String(err?.message || err);
+          }
+          changed = true;
+        } else if (dev.status === 'installing' || dev.status === 'waiting') {
+          // 'installing' after a page reload means the install call was sent; just wait
+          if (this._isRolloutDeviceHealthy(dev)) {
+            dev.status = 'succeeded';
+            changed = true;
+          } else if (Date.now() - dev.startedAt > timeoutMs) {
+            dev.status = 'failed';
+            dev.error = this._t('rollout.timed_out', { minutes: rollout.timeoutMinutes });
+            changed = true;
+          }
+        }
+      }
+
+      // Stopped by the user: keep what happened to the devices, but don't touch the rollout status
+      if (!active()) {
+        if (changed && this._rollout === rollout) this._saveRollout();
+        this._scheduleRender();
+        return;
+      }
+
+      const failed = wave.map((id) => rollout.devices[id]).filter((d) => d.status === 'failed');
+      if (failed.length) {
+        rollout.status = 'halted';
+        rollout.haltReason = this._t('rollout.halted_reason', { names: failed.map((d) => d.name).join(', '), wave: rollout.currentWave + 1 });
+        changed = true;
+      } else if (wave.every((id) => rollout.devices[id].status === 'succeeded')) {
+        rollout.currentWave += 1;
+        if (rollout.currentWave >= rollout.waves.length) {
+          rollout.status = 'completed';
+        }
+        changed = true;
+      }
+
+      if (changed) {
+        this._saveRollout();
+        this._scheduleRender();
+      }
+      if (rollout.status !== 'running') this._stopRolloutTimer();
+    } finally {
+      this._rolloutBusy = false;
+    }
+
+    // Start the next wave right away instead of waiting for the next tick
+    if (rollout.status === 'running' && (rollout.waves[rollout.currentWave] || []).some((id) => rollout.devices[id].status === 'pending')) {
+      this._rolloutTick();
+    }
+  }
+
+  _handleRolloutControl(control) {
+    const rollout = this._rollout;
+    if (!rollout || !this._bulkActionsEnabled()) return;
+
+    if (control === 'cancel') {
+      rollout.status = 'cancelled';
+      this._stopRolloutTimer();
+    } else if (control === 'resume') {
+      // Failed devices are retried; one that came back in the meantime simply succeeds
+      for (const deviceId of rollout.waves[rollout.currentWave] || []) {
+        const dev = rollout.devices[deviceId];
+        if (dev.status === 'failed') {
+          dev.status = 'pending';
+          dev.error = null;
+        }
+      }
+      rollout.status = 'running';
+      rollout.haltReason = null;
+      this._startRolloutTimer();
+    } else if (control === 'dismiss') {
+      this._rollout = null;
+    }
+
+    this._saveRollout();
+    this._render();
+    this._rolloutTick();
+  }
+
+  _saveRollout() {
+    this._storageSet('rollout', this._rollout);
+  }
+
+  _startRolloutTimer() {
+    if (this._rolloutTimer) return;
+    this._rolloutTimer = setInterval(() => this._rolloutTick(), ROLLOUT_CHECK_INTERVAL_MS);
+  }
+
+  _stopRolloutTimer() {
+    clearInterval(this._rolloutTimer);
+    this._rolloutTimer = null;
+  }
+
+  _renderRollout() {
+    const rollout = this._rollout;
+    if (!rollout) return '';
+
+    const statusIcon = { pending: '⏸', installing: '⏳', waiting: '⏳', succeeded: '✓', failed: '✗' };
+    const done = Object.values(rollout.devices).filter((d) => d.status === 'succeeded').length;
+    const total = Object.keys(rollout.devices).length;
+    const controls = this._bulkActionsEnabled();
+
+    return `
+      <div class="bulk-progress rollout rollout-${rollout.status}">
+        <div class="bulk-progress-header">
+          <strong>${this._escape(this._t('rollout.title'))}</strong>
+          <span class="score rollout-status">${this._escape(this._t(`rollout.status.${rollout.status}`))}</span>
+          <span class="muted">${this._escape(this._t('rollout.progress', { done, total }))}</span>
+          ${controls && rollout.status === 'running' ? `<button class="linklike" data-rollout="cancel">${this._escape(this._t('common.cancel'))}</button>` : ''}
+          ${controls && rollout.status === 'halted' ? `<button class="linklike" data-rollout="resume">${this._escape(this._t('rollout.resume'))}</button>` : ''}
+          ${controls && rollout.status !== 'running' ? `<button class="linklike" data-rollout="dismiss">${this._escape(this._t('common.dismiss'))}</button>` : ''}
+        </div>
+        ${rollout.haltReason ? `<p class="rollout-halt">⚠️ ${this._escape(rollout.haltReason)}</p>` : ''}
+        ${rollout.waves.map((wave, i) => `
+          <div class="rollout-wave ${i === rollout.currentWave && rollout.status === 'running' ? 'current' : ''}">
+            <div class="muted">${this._escape(this._t(i === 0 ? 'rollout.canary' : 'rollout.wave', { wave: i + 1 }))}</div>
+            <ul class="bulk-items">
+              ${wave.map((id) => rollout.devices[id]).map((d) => `
+                <li class="bulk-item status-${d.status}">
+                  <span class="bulk-status" title="${this._escape(this._t(`job.status.${d.status}`))}">${statusIcon[d.status]}</span>
+                  <span>${this._escape(d.name)}</span>
+                  <span class="muted">${this._escape(this._t(`job.status.${d.status}`))}${d.error ? `: ${this._escape(d.error)}` : ''}</span>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // In-panel confirmation dialog; resolves true when confirmed. With typeToConfirm the
+  // confirm button stays disabled until exactly that text is typed.
+  _confirmDialog({ title, message, items = [], confirmLabel = this._t('common.ok'), cancelLabel = this._t('common.cancel'), typeToConfirm = null }) {
+    if (this._dialog) this._dialog.resolve(false);
+    return new Promise((resolve) => {
+      this._dialog = { title, message, items, confirmLabel, cancelLabel, typeToConfirm, typed: '', resolve };
+      this._render();
+      (this.shadowRoot.getElementById('dialog-confirm-input') || this.shadowRoot.querySelector('.dialog-confirm'))?.focus();
     });
   }
 
-  _getSortIndicator(key) {
-    if (this._sort?.key !== key) return '';
-    return this._sort.dir === 'asc' ? '▲' : '▼';
+  _closeDialog(result) {
+    const dialog = this._dialog;
+    if (!dialog) return;
+    if (result && !this._dialogConfirmable()) return;
+    this._dialog = null;
+    this._render();
+    dialog.resolve(result);
   }
 
-  _applySort(arr) {
-    const { key, dir } = this._sort || { key: 'name', dir: 'asc' };
+  _dialogConfirmable() {
+    const d = this._dialog;
+    return !d?.typeToConfirm || d.typed.trim() === d.typeToConfirm;
+  }
+
+  _renderDialog() {
+    const d = this._dialog;
+    if (!d) return '';
+    return `
+      <div class="dialog-backdrop">
+        <div class="dialog" role="dialog" aria-modal="true" aria-label="${this._escape(d.title)}">
+          <h2>${this._escape(d.title)}</h2>
+          ${d.message ? `<p>${this._escape(d.message)}</p>` : ''}
+          ${d.items.length ? `<ul class="dialog-items">${d.items.map((i) => `<li>${this._escape(i)}</li>`).join('')}</ul>` : ''}
+          ${d.typeToConfirm ? `
+            <label class="type-to-confirm">
+              ${this._t('dialog.type_to_confirm', { text: `<strong>${this._escape(d.typeToConfirm)}</strong>` })}
+              <input id="dialog-confirm-input" type="text" autocomplete="off" spellcheck="false" value="${this._escape(d.typed)}">
+            </label>
+          ` : ''}
+          <div class="dialog-actions">
+            ${d.cancelLabel ? `<button class="linklike dialog-cancel">${this._escape(d.cancelLabel)}</button>` : ''}
+            <button class="action-button dialog-confirm" ${this._dialogConfirmable() ? '' : 'disabled'}>${this._escape(d.confirmLabel)}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Split already sorted rows into groups, keeping the sort order inside each group
+  _groupRows(rows) {
+    const option = GROUP_OPTIONS.find((o) => o.key === this._groupBy);
+    if (!option || !option.value) return null;
+
+    const groups = new Map();
+    for (const r of rows) {
+      const key = option.value(r) || '';
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: key || this._t(`group.${option.key}.empty`, {}, option.empty), rows: [] });
+      }
+      groups.get(key).rows.push(r);
+    }
+
+    // Named groups alphabetically (firmware by version), the empty group last
     const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
-    
-    const val = (r) => {
-      const v = r[key];
-      if (v === null || v === undefined) return '';
-      if (typeof v === 'boolean') return v ? '1' : '0';
-      return String(v);
-    };
-    
-    arr.sort((a, b) => {
-      const cmp = collator.compare(val(a), val(b));
-      return dir === 'asc' ? cmp : -cmp;
+    return [...groups.values()].sort((a, b) => {
+      if (!a.key) return 1;
+      if (!b.key) return -1;
+      return this._groupBy === 'firmware' ? compareVersions(a.key, b.key) : collator.compare(a.key, b.key);
     });
-    
-    return arr;
   }
 
-  _toggleSort(key) {
-    if (!this._sort) {
-      this._sort = { key, dir: 'asc' };
-    } else if (this._sort.key === key) {
-      this._sort.dir = this._sort.dir === 'asc' ? 'desc' : 'asc';
+  _renderGroupBadges(rows) {
+    const updates = rows.filter((r) => r.fwUpdateAvailable).length;
+    const unavailable = rows.filter((r) => r.unavailable).length;
+    const weak = rows.filter((r) => r.rssi !== null && parseInt(r.rssi) < this._config.rssi_thresholds.weak).length;
+    return [
+      updates ? `<span class="badge warn">${this._escape(this._t('badge.updates', { count: updates }))}</span>` : '',
+      unavailable ? `<span class="badge error">${this._escape(this._t('badge.offline', { count: unavailable }))}</span>` : '',
+      weak ? `<span class="badge warn">${this._escape(this._t('badge.weak', { count: weak }))}</span>` : '',
+    ].join('');
+  }
+
+  _setGroupBy(groupBy) {
+    this._groupBy = groupBy;
+    this._storageSet('groupBy', groupBy);
+    this._updateUrl();
+    this._render();
+  }
+
+  _toggleGroup(key) {
+    const id = `${this._groupBy}:${key}`;
+    if (this._collapsedGroups.has(id)) {
+      this._collapsedGroups.delete(id);
     } else {
-      this._sort.key = key;
-      this._sort.dir = 'asc';
+      this._collapsedGroups.add(id);
     }
+    this._storageSet('collapsedGroups', [...this._collapsedGroups]);
+    this._render();
+  }
+
+  _loadGroupBy() {
+    const params = new URLSearchParams(window.location.search);
+    const groupBy = params.has('group') ? params.get('group') : this._storageGet('groupBy');
+    return GROUP_OPTIONS.some((o) => o.key === groupBy) ? groupBy : '';
+  }
+
+  _setFilters(patch) {
+    this._filters = { ...this._filters, ...patch };
+    this._saveFilters();
     this._render();
   }
 
+  // Filters come from the URL first (bookmarked links), then from the last session
+  _loadFilters() {
+    const filters = { search: '', model: '', chips: [] };
+    const params = new URLSearchParams(window.location.search);
+    let saved = null;
+    if (params.has('q') || params.has('model') || params.has('filter')) {
+      saved = { search: params.get('q'), model: params.get('model'), chips: (params.get('filter') || '').split(',') };
+    } else {
+      saved = this._storageGet('filters');
+    }
+    if (saved) {
+      filters.search = typeof saved.search === 'string' ? saved.search : '';
+      filters.model = typeof saved.model === 'string' ? saved.model : '';
+      filters.chips = Array.isArray(saved.chips)
+        ? saved.chips.filter((c) => FILTER_CHIPS.some((chip) => chip.key === c))
+        : [];
+    }
+    return filters;
+  }
+
+  _saveFilters() {
+    const { search, model, chips } = this._filters;
+    this._storageSet('filters', { search, model, chips });
+    this._updateUrl();
+  }
+
+  // Mirror the current view (filters and grouping) in the URL so it can be bookmarked
+  _updateUrl() {
+    const { search, model, chips } = this._filters;
+    const params = new URLSearchParams(window.location.search);
+    params.delete('q');
+    params.delete('model');
+    params.delete('filter');
+    params.delete('group');
+    params.delete('view');
+    if (search) params.set('q', search);
+    if (model) params.set('model', model);
+    if (chips.length) params.set('filter', chips.join(','));
+    if (this._groupBy) params.set('group', this._groupBy);
+    if (this._view !== 'devices') params.set('view', this._view);
+    const query = params.toString();
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+
+  // localStorage can be unavailable (private mode, disabled storage), so never let it break the panel
+  _storageGet(key) {
+    try {
+      const raw = window.localStorage.getItem(`${STORAGE_PREFIX}.${key}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _storageSet(key, value) {
+    try {
+      window.localStorage.setItem(`${STORAGE_PREFIX}.${key}`, JSON.stringify(value));
+    } catch {
+      // Ignore quota or access errors
+    }
+  }
+
+  // UI text in the user's language (hass.language, e.g. "nl" or "de-CH" -> "de"), falling back to
+  // English and then to `fallback` (the English labels of the constant tables). {name} placeholders
+  // are filled from params; with params.count === 1 a "<key>_one" variant is used when there is one.
+  _t(key, params = {}, fallback = key) {
+    const lang = this._getLanguage();
+    for (const dict of [TRANSLATIONS[lang], TRANSLATIONS.en]) {
+      const text = dict && ((params.count === 1 && dict[`${key}_one`]) || dict[key]);
+      if (text) return this._fill(text, params);
+    }
+    return this._fill(fallback, params);
+  }
+
+  // Numbers, such as counts, are formatted with the profile's number format
+  _fill(text, params) {
+    return String(text).replace(/\{(\w+)\}/g, (m, name) => {
+      if (!(name in params)) return m;
+      return typeof params[name] === 'number' ? this._formatNumber(params[name]) : params[name];
+    });
+  }
+
+  _getLanguage() {
+    const lang = String(this._hass?.language || 'en').toLowerCase();
+    if (TRANSLATIONS[lang]) return lang;
+    const base = lang.split('-')[0];
+    return TRANSLATIONS[base] ? base : 'en';
+  }
+
+  // Locale for numbers from the user's profile, mapped the way the Home Assistant frontend does
+  _getNumberLocale() {
+    const locale = this._hass?.locale;
+    switch (locale?.number_format) {
+      case 'comma_decimal': return ['en-US', 'en'];
+      case 'decimal_comma': return ['de', 'es', 'it'];
+      case 'space_comma': return ['fr', 'sv', 'cs'];
+      case 'system': return undefined;
+      default: return locale?.language || this._hass?.language || undefined;
+    }
+  }
+
+  // Intl formatters are relatively expensive to create, so they are cached per locale and options
+  _getFormatter(type, locale, options) {
+    const key = `${type}|${locale}|${JSON.stringify(options)}`;
+    if (!this._formatters.has(key)) this._formatters.set(key, new Intl[type](locale, options));
+    return this._formatters.get(key);
+  }
+
+  _formatNumber(value, options = {}) {
+    const grouping = this._hass?.locale?.number_format === 'none' ? { useGrouping: false } : {};
+    return this._getFormatter('NumberFormat', this._getNumberLocale(), { ...grouping, ...options }).format(value);
+  }
+
+  // Date and time with the profile's language, 12/24 hour preference and time zone (local or server)
+  _formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    const locale = this._hass?.locale;
+    const opts = { ...options };
+    if (opts.timeStyle && locale?.time_format === '12') opts.hour12 = true;
+    if (opts.timeStyle && locale?.time_format === '24') opts.hour12 = false;
+    if (locale?.time_zone === 'server' && this._hass?.config?.time_zone) opts.timeZone = this._hass.config.time_zone;
+    const language = locale?.language || this._hass?.language || undefined;
+    return this._getFormatter('DateTimeFormat', language, opts).format(new Date(value));
+  }
+
   _escape(str) {
     return String(str)
       .replaceAll('&', '&amp;')